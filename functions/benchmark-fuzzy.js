@@ -0,0 +1,175 @@
+/**
+ * Benchmark for fuzzy substring matching
+ * Compares approximateSubstringMatch (bounded, column-wise search used by fuzzyMatch) with the
+ * previous implementation, which computed a full distance matrix for every window of the field
+ * Run with: node benchmark-fuzzy.js
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-project';
+
+const { damerauLevenshteinDistance, approximateSubstringMatch } = require('./index.js');
+
+// Minimum time spent measuring each implementation per case
+const MIN_BENCHMARK_MS = 200;
+
+const WORDS = [
+  'firebase', 'search', 'extension', 'document', 'collection', 'wireless', 'headphones',
+  'laptop', 'keyboard', 'description', 'quality', 'delivery', 'customer', 'product',
+  'performance', 'battery', 'display', 'comfortable', 'lightweight', 'waterproof'
+];
+
+/**
+ * Deterministic pseudo-random numbers, so every run measures the same input
+ */
+function createRandom(seed) {
+  let state = seed;
+  return (max) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % max;
+  };
+}
+
+/**
+ * Build a field value of roughly the given length out of common words
+ */
+function generateText(length, random) {
+  const words = [];
+  let textLength = 0;
+  while (textLength < length) {
+    const word = WORDS[random(WORDS.length)];
+    words.push(word);
+    textLength += word.length + 1;
+  }
+  return words.join(' ').slice(0, length);
+}
+
+/**
+ * Apply a number of random substitutions, deletions and transpositions to a term
+ */
+function addTypos(term, typos, random) {
+  let result = term;
+  for (let i = 0; i < typos; i++) {
+    const position = 1 + random(result.length - 2);
+    switch (random(3)) {
+      case 0:
+        result = result.slice(0, position) + 'x' + result.slice(position + 1);
+        break;
+      case 1:
+        result = result.slice(0, position) + result.slice(position + 1);
+        break;
+      default:
+        result = result.slice(0, position) + result[position + 1] + result[position] + result.slice(position + 2);
+    }
+  }
+  return result;
+}
+
+/**
+ * The previous fuzzyMatch loop: every window of the field with the length of the term is
+ * compared using a full distance matrix, plus the whole field when it is short
+ */
+function windowedSubstringMatch(term, text, maxTypos) {
+  const searchLen = term.length;
+  const fieldLen = text.length;
+
+  if (searchLen > fieldLen) {
+    return damerauLevenshteinDistance(term, text) <= maxTypos;
+  }
+
+  for (let i = 0; i <= fieldLen - searchLen; i++) {
+    if (damerauLevenshteinDistance(term, text.substring(i, i + searchLen)) <= maxTypos) {
+      return true;
+    }
+  }
+
+  if (fieldLen <= searchLen + maxTypos) {
+    return damerauLevenshteinDistance(term, text) <= maxTypos;
+  }
+
+  return false;
+}
+
+/**
+ * Run a matcher over all queries until MIN_BENCHMARK_MS has passed
+ * Returns the average time per call in microseconds and the matches of the first round
+ */
+function measure(matcher, queries, text) {
+  const matches = queries.map(({ term, maxTypos }) => matcher(term, text, maxTypos));
+  let calls = 0;
+  const start = process.hrtime.bigint();
+  let elapsedMs = 0;
+
+  while (elapsedMs < MIN_BENCHMARK_MS) {
+    for (const { term, maxTypos } of queries) {
+      matcher(term, text, maxTypos);
+    }
+    calls += queries.length;
+    elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+
+  return { microsPerCall: (elapsedMs * 1000) / calls, matches };
+}
+
+/**
+ * Build the queries of a case: terms cut from the text with typos (found, often early)
+ * and unrelated terms (never found, so the whole field is searched)
+ */
+function buildQueries(text, termLength, maxTypos, random) {
+  const queries = [];
+  for (let i = 0; i < 5; i++) {
+    const start = random(Math.max(text.length - termLength, 1));
+    queries.push({ term: addTypos(text.slice(start, start + termLength), maxTypos, random), maxTypos });
+  }
+  for (let i = 0; i < 5; i++) {
+    queries.push({ term: 'q'.repeat(termLength), maxTypos });
+  }
+  return queries;
+}
+
+function runBenchmark() {
+  const random = createRandom(42);
+  const cases = [
+    { fieldLength: 100, termLength: 6, maxTypos: 1 },
+    { fieldLength: 100, termLength: 12, maxTypos: 2 },
+    { fieldLength: 1000, termLength: 8, maxTypos: 2 },
+    { fieldLength: 1000, termLength: 30, maxTypos: 2 },
+    { fieldLength: 5000, termLength: 12, maxTypos: 2 },
+    { fieldLength: 5000, termLength: 30, maxTypos: 2 }
+  ];
+
+  console.log('Fuzzy substring matching benchmark (average per call)\n');
+
+  for (const { fieldLength, termLength, maxTypos } of cases) {
+    const text = generateText(fieldLength, random);
+    const queries = buildQueries(text, termLength, maxTypos, random);
+
+    const windowed = measure(windowedSubstringMatch, queries, text);
+    const bounded = measure(approximateSubstringMatch, queries, text);
+
+    // The bounded search also finds matches of a different length than the term
+    // (a deleted or inserted character), which fixed-length windows can miss
+    const missed = queries.filter((query, i) => windowed.matches[i] && !bounded.matches[i]).length;
+    const extra = queries.filter((query, i) => !windowed.matches[i] && bounded.matches[i]).length;
+
+    console.log(`field ${fieldLength} chars, term ${termLength} chars, ${maxTypos} typo(s):`);
+    console.log(`  windowed matrix:  ${windowed.microsPerCall.toFixed(1)} µs`);
+    console.log(`  bounded search:   ${bounded.microsPerCall.toFixed(1)} µs (${(windowed.microsPerCall / bounded.microsPerCall).toFixed(1)}x faster)`);
+    console.log(`  matches: ${bounded.matches.filter(Boolean).length}/${queries.length}, extra: ${extra}, missed: ${missed}`);
+
+    if (missed > 0) {
+      console.log('  ❌ The bounded search missed matches of the windowed implementation');
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Run the benchmark if this file is executed directly
+if (require.main === module) {
+  runBenchmark();
+}
+
+module.exports = {
+  windowedSubstringMatch,
+  runBenchmark
+};
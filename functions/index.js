@@ -5,14 +5,43 @@
 
 const {onRequest} = require("firebase-functions/v2/https");
 const {onTaskDispatched} = require("firebase-functions/v2/tasks");
+const {onDocumentWritten} = require("firebase-functions/v2/firestore");
 const {initializeApp} = require("firebase-admin/app");
-const {getFirestore} = require("firebase-admin/firestore");
+const {getFirestore, FieldValue, FieldPath} = require("firebase-admin/firestore");
 const {getAuth} = require("firebase-admin/auth");
+const {getFunctions} = require("firebase-admin/functions");
+const {getExtensions} = require("firebase-admin/extensions");
+const crypto = require("crypto");
+const {isDeepStrictEqual} = require("util");
+const snowballStemmers = require("snowball-stemmers");
+const doubleMetaphone = require("double-metaphone");
 
 // Initialize Firebase Admin
 initializeApp();
 const db = getFirestore();
 
+// Per-field tokenizers: 'auto' splits words and turns runs of CJK characters into bigrams,
+// 'cjk' turns every word of the field into bigrams
+const FIELD_TOKENIZERS = ['auto', 'cjk'];
+// Fields marked field:phonetic are also matched by sound (Double Metaphone codes)
+const PHONETIC_FIELD_OPTION = 'phonetic';
+
+// Searchable fields may carry ranking boosts, a tokenizer and the phonetic option,
+// e.g. "title^3,tags^2,description:cjk,name:phonetic"
+const searchableFieldsConfig = parseSearchableFieldsConfig(process.env.SEARCHABLE_FIELDS);
+
+// Languages with a Snowball stemmer ('none' only lowercases and splits words)
+const SUPPORTED_LANGUAGES = [
+  'none', 'english', 'porter', 'danish', 'dutch', 'finnish', 'french', 'german',
+  'italian', 'norwegian', 'portuguese', 'romanian', 'spanish', 'swedish'
+];
+
+// Text analysis language, with optional per-collection overrides, e.g. "english,articles:french"
+const searchLanguageConfig = parseSearchLanguageConfig(process.env.SEARCH_LANGUAGE);
+
+// Unicode folding: "none", "fold" or "fold:<locale>" for locale-aware case folding (e.g. "fold:tr")
+const textNormalizationConfig = parseTextNormalizationConfig(process.env.TEXT_NORMALIZATION);
+
 // Extension configuration from environment variables
 const config = {
   location: process.env.LOCATION || 'us-central1',
@@ -21,17 +50,254 @@ const config = {
   enableCaseSensitiveSearch: process.env.ENABLE_CASE_SENSITIVE_SEARCH === 'true',
   searchableCollections: process.env.SEARCHABLE_COLLECTIONS ? 
     process.env.SEARCHABLE_COLLECTIONS.split(',').map(f => f.trim()) : [],
-  searchableFields: process.env.SEARCHABLE_FIELDS ? 
-    process.env.SEARCHABLE_FIELDS.split(',').map(f => f.trim()) : [],
+  searchableFields: searchableFieldsConfig.fields,
+  fieldBoosts: searchableFieldsConfig.boosts,
+  fieldTokenizers: searchableFieldsConfig.tokenizers,
+  phoneticFields: searchableFieldsConfig.phoneticFields,
   rateLimitRequestsPerMinute: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE) || 60,
   rateLimitWindowMinutes: parseInt(process.env.RATE_LIMIT_WINDOW_MINUTES) || 1,
   defaultReturnFields: process.env.DEFAULT_RETURN_FIELDS ? 
     process.env.DEFAULT_RETURN_FIELDS.split(',').map(f => f.trim()) : [],
   enableFuzzySearch: process.env.ENABLE_FUZZY_SEARCH === 'true',
   fuzzySearchTypoTolerance: parseInt(process.env.FUZZY_SEARCH_TYPO_TOLERANCE) || 4,
-  requireJwtAuthentication: process.env.REQUIRE_JWT_AUTHENTICATION === 'true'
+  requireJwtAuthentication: process.env.REQUIRE_JWT_AUTHENTICATION === 'true',
+  enableSearchIndex: process.env.ENABLE_SEARCH_INDEX === 'true',
+  enableShadowFields: process.env.ENABLE_SHADOW_FIELDS === 'true',
+  geoFields: process.env.GEO_FIELDS ?
+    process.env.GEO_FIELDS.split(',').map(f => f.trim()).filter(f => f.length > 0) : [],
+  defaultLanguage: searchLanguageConfig.defaultLanguage,
+  collectionLanguages: searchLanguageConfig.collections,
+  textNormalization: textNormalizationConfig.mode,
+  foldText: textNormalizationConfig.fold,
+  caseFoldingLocale: textNormalizationConfig.locale
+};
+
+// Inverted search index layout (maintained by updateSearchIndexOnWrite):
+// - _searchIndex/{collection}/terms/{term}                   -> { term, df }
+// - _searchIndex/{collection}/terms/{term}/postings/{docId}  -> { docId, tf, fields }
+// - _searchIndex/{collection}/documents/{docId}              -> { terms, geohashes, eventTime }
+// Phonetic fields add a term per Double Metaphone code ("~phonetic:SM0"); the leading "~"
+// keeps these terms out of the prefix ranges read for words
+const SEARCH_INDEX_COLLECTION = '_searchIndex';
+// The index, its state (including the page token key), stopwords and synonyms live in
+// top-level collections starting with _search, which are never searched
+const INTERNAL_COLLECTION_PREFIX = '_search';
+const PHONETIC_TERM_PREFIX = '~phonetic:';
+const PHONETIC_CODE_CACHE_SIZE = 10000;
+const SEARCH_INDEX_MAX_TERM_LENGTH = 100;
+const SEARCH_INDEX_MAX_EXPANSIONS = 1000;
+const SEARCH_INDEX_MAX_POSTINGS = 20000;
+const SEARCH_INDEX_FETCH_BATCH_SIZE = 100;
+// Each term of a document writes its posting and the document frequency of the term
+const SEARCH_INDEX_TRANSACTION_TERMS = 200;
+
+// Normalized shadow fields (maintained by updateSearchIndexOnWrite with ENABLE_SHADOW_FIELDS):
+// _search.<field> holds the lowercased and folded value of a searchable string field, so
+// case-insensitive prefix searches run as Firestore range queries. Values are truncated to
+// keep index entries small
+const SHADOW_FIELDS_KEY = '_search';
+const SHADOW_FIELD_MAX_LENGTH = 300;
+
+// Structured filters pushed down as Firestore where clauses
+const FILTER_OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'array-contains'];
+const MAX_FILTERS = 10;
+const FIRESTORE_MAX_DISJUNCTIONS = 30;
+// Count aggregations spent on unverified index candidates before reporting a lower bound
+const TOTAL_HITS_MAX_COUNT_QUERIES = 20;
+
+// Geo search on GeoPoint fields: geohashes of GEO_FIELDS are kept in the index entries
+const GEO_DISTANCE_FIELD = '_distance';
+const GEOHASH_PRECISION = 10;
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_METERS = 6371008.8;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+const GEO_DISTANCE_UNITS = { m: 1, km: 1000, mi: 1609.344, ft: 0.3048 };
+
+// Faceted aggregation over the matched documents
+const MAX_FACETS = 10;
+const FACET_MAX_BUCKETS = 20;
+const FACET_RANGE_BUCKETS = 5;
+
+// Relevance ranking (BM25) parameters
+const SCORE_SORT_FIELD = '_score';
+// v2 results list the fields (and array elements) that matched the query terms
+const MATCHES_FIELD = '_matches';
+// Collection group searches (/v2/_group/{collectionId}) return where each document is stored
+const COLLECTION_GROUP_SEGMENT = '_group';
+// SEARCHABLE_COLLECTIONS patterns for subcollections: * matches any ID, {uid} the caller's uid
+const COLLECTION_PATTERN_WILDCARD = '*';
+const COLLECTION_PATTERN_UID = '{uid}';
+const PATH_FIELD = '_path';
+const PARENT_PATH_FIELD = '_parentPath';
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SCORE_PREFIX_FACTOR = 0.8;
+const SCORE_FUZZY_FACTOR = 0.6;
+const SCORE_PHONETIC_FACTOR = 0.5;
+const SCORE_SUBSTRING_FACTOR = 0.4;
+
+// Stopwords are dropped from search terms and index terms; lists can be extended
+// per collection in _searchStopwords/{collection} -> { words: [...], includeDefaults }
+const STOPWORDS_COLLECTION = '_searchStopwords';
+const STOPWORDS_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_STOPWORDS = {
+  english: 'a an and are as at be but by for from has have he her his i if in into is it its me my no not of on or our she so such than that the their them then there these they this to was we were what when where which who will with you your',
+  danish: 'af alle at de dem den der det din du efter eller en er et for fra har hun i ikke jeg kan med men mig min nu og om på som til var vi',
+  dutch: 'aan al als bij dan dat de der des die dit door een en er geen had heb het hij hoe in is je maar me met naar niet nog of om ook op te tot uit van veel voor was wat we wel zijn zo',
+  finnish: 'ei ja jo joka kanssa kuin mikä minä mutta niin ole on ovat se sekä sen siitä tai tämä että he hän me te',
+  french: 'à au aux avec ce ces dans de des du elle en et eux il ils je la le les leur lui ma mais me même mes moi mon ne nos notre nous on ou par pas pour qu que qui sa se ses son sur ta te tes toi ton tu un une vos votre vous',
+  german: 'aber als am an auch auf aus bei bin bis das dass dem den der des die du ein eine einem einen einer eines er es für hat ich ihr im in ist ja kein mit nach nicht noch nur oder sich sie sind so über um und uns von vor war was wie wir zu zum zur',
+  italian: 'a ad al alla alle anche che chi ci come con da dal dalla degli dei del della delle di e ed gli ha ho i il in la le lo ma mi ne nel nella non o per più se si sono su sua suo tra un una uno',
+  norwegian: 'at av bare de den der det du eller en er et for fra han har hun i ikke jeg kan med men meg min og om på som til var vi',
+  portuguese: 'a ao aos as com como da das de do dos e é ela ele em entre era eu foi isso já mais mas me na nas no nos não o os ou para pela pelo por que se sem seu sua são também um uma',
+  romanian: 'a acest al ale am ar au ca care ce cu cum da de din după el ea este eu fi în iar la mai nu o pe pentru prin sa să se si și sunt un una unei unui',
+  spanish: 'a al como con de del e el ella ellos en entre era es esta este fue ha la las le les lo los más mi no o para pero por que se sin su sus también un una uno y ya',
+  swedish: 'att av de dem den det du en ett för från han har hon i icke inte jag kan med men mig min och om på som till var vi är'
 };
 
+// Synonyms expand query terms before matching, configured per collection in
+// _searchSynonyms/{collection} -> { synonyms: ['tv, television', 'iphone -> smartphone'] }
+const SYNONYMS_COLLECTION = '_searchSynonyms';
+const SYNONYMS_CACHE_TTL_MS = 60 * 1000;
+
+// Backfill checkpoint for indexing documents that existed before the trigger
+const BACKFILL_STATE_DOC = '_searchIndexState/backfill';
+const BACKFILL_PAGE_SIZE = 200;
+// Must match retryConfig.maxAttempts of backfillSearchIndex in extension.yaml
+const BACKFILL_MAX_ATTEMPTS = 5;
+
+// Page tokens are signed with a key generated on first use and kept in Firestore
+const PAGE_TOKEN_KEY_DOC = '_searchIndexState/pageTokenKey';
+const PAGE_TOKEN_VERSION = 1;
+
+/**
+ * Parse the SEARCH_LANGUAGE configuration into a default language and per-collection languages
+ * Unknown languages are ignored (logged) so a typo cannot break the extension
+ */
+function parseSearchLanguageConfig(value) {
+  const result = { defaultLanguage: 'none', collections: {} };
+  if (!value) {
+    return result;
+  }
+  
+  for (const entry of value.split(',').map(part => part.trim()).filter(part => part.length > 0)) {
+    const separatorIndex = entry.lastIndexOf(':');
+    const collection = separatorIndex === -1 ? null : entry.slice(0, separatorIndex).trim();
+    const language = (separatorIndex === -1 ? entry : entry.slice(separatorIndex + 1)).trim().toLowerCase();
+    
+    if (!SUPPORTED_LANGUAGES.includes(language)) {
+      console.warn(`Ignoring unsupported language "${language}" in SEARCH_LANGUAGE. Supported: ${SUPPORTED_LANGUAGES.join(', ')}`);
+      continue;
+    }
+    
+    if (collection) {
+      result.collections[collection] = language;
+    } else {
+      result.defaultLanguage = language;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Parse the TEXT_NORMALIZATION configuration
+ * Invalid values fall back to "none" (plain lowercasing, the original behavior)
+ */
+function parseTextNormalizationConfig(value) {
+  const mode = (value || 'none').trim();
+  const match = mode.match(/^fold(?::([A-Za-z]{2,3}(?:-[A-Za-z0-9]{2,8})*))?$/);
+  
+  if (!match) {
+    if (mode !== 'none') {
+      console.warn(`Ignoring unsupported TEXT_NORMALIZATION "${mode}", expected none, fold or fold:<locale>`);
+    }
+    return { mode: 'none', fold: false, locale: null };
+  }
+  
+  const locale = match[1] || 'und';
+  try {
+    'I'.toLocaleLowerCase(locale);
+  } catch (error) {
+    console.warn(`Ignoring unsupported case folding locale "${locale}" in TEXT_NORMALIZATION`);
+    return { mode: 'fold', fold: true, locale: 'und' };
+  }
+  
+  return { mode, fold: true, locale };
+}
+
+/**
+ * Parse the SEARCHABLE_FIELDS configuration into field names, per-field boosts,
+ * tokenizers and phonetic fields
+ * Fields without a boost (or with an invalid one) weigh 1
+ */
+function parseSearchableFieldsConfig(value) {
+  const fields = [];
+  const boosts = {};
+  const tokenizers = {};
+  const phoneticFields = [];
+  
+  if (!value) {
+    return { fields, boosts, tokenizers, phoneticFields };
+  }
+  
+  const entries = value.split(',').map(f => f.trim()).filter(f => f.length > 0);
+  for (const entry of entries) {
+    const [fieldSpec, boost] = entry.split('^').map(part => part.trim());
+    const [field, ...options] = fieldSpec.split(':').map(part => part.trim());
+    fields.push(field);
+    
+    // field:cjk tokenizes the whole field into bigrams, whatever the script;
+    // field:phonetic also matches it by sound
+    for (const option of options.map(option => option.toLowerCase())) {
+      if (FIELD_TOKENIZERS.includes(option)) {
+        tokenizers[field] = option;
+      } else if (option === PHONETIC_FIELD_OPTION) {
+        phoneticFields.push(field);
+      } else {
+        console.warn(`Ignoring unknown option "${option}" for searchable field "${field}". Supported: ${[...FIELD_TOKENIZERS, PHONETIC_FIELD_OPTION].join(', ')}`);
+      }
+    }
+    
+    if (boost !== undefined) {
+      const parsedBoost = parseFloat(boost);
+      if (parsedBoost > 0) {
+        boosts[field] = parsedBoost;
+      } else {
+        console.warn(`Ignoring invalid boost "${boost}" for searchable field "${field}"`);
+      }
+    }
+  }
+  
+  return { fields, boosts, tokenizers, phoneticFields };
+}
+
+/**
+ * Parse a per-request boosts override
+ * Accepts an object ({ "title": 3 }) or the configuration syntax ("title^3,description^1")
+ * Returns null when the value has an unsupported type
+ */
+function parseBoostsParameter(value) {
+  if (typeof value === 'string') {
+    const boosts = {};
+    for (const entry of value.split(',').map(f => f.trim()).filter(f => f.length > 0)) {
+      const [field, boost] = entry.split('^').map(part => part.trim());
+      boosts[field] = boost === undefined ? NaN : Number(boost);
+    }
+    return boosts;
+  }
+  
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const boosts = {};
+    for (const [field, boost] of Object.entries(value)) {
+      boosts[field] = Number(boost);
+    }
+    return boosts;
+  }
+  
+  return null;
+}
+
 // In-memory rate limiting storage
 // In production, consider using Redis or Firestore for distributed rate limiting
 const rateLimitStore = new Map();
@@ -40,6 +306,8 @@ const rateLimitStore = new Map();
  * Extract collection name and version from URL path
  * Supported formats:
  * - Versioned: /v1/{collectionName} (recommended)
+ * - Subcollection: /v2/users/{uid}/orders (collection name is the full collection path)
+ * - Collection group: /v2/_group/{collectionId} (every collection with that ID, e.g. subcollections)
  * - Legacy: /{collectionName} (for backward compatibility)
  * Firebase Functions URL format: /ext-{instanceId}-searchCollectionHttp/v1/{collectionName}
  * Full URL: https://region-project.cloudfunctions.net/ext-{instanceId}-searchCollectionHttp/v1/{collectionName}
@@ -58,12 +326,13 @@ function extractCollectionFromPath(request) {
   // The function name is handled by Firebase routing, so we get the remaining path
   // If path is just "/" or empty, no collection specified
   if (pathParts.length === 0) {
-    return { collectionName: null, version: null, isVersioned: false };
+    return { collectionName: null, version: null, isVersioned: false, collectionGroup: false };
   }
   
   let collectionName = null;
   let version = null;
   let isVersioned = false;
+  let collectionGroup = false;
   
   // Check if the path contains the function name (for local testing or direct calls)
   const functionNameIndex = pathParts.findIndex(part => 
@@ -81,9 +350,12 @@ function extractCollectionFromPath(request) {
     version = pathParts[startIndex];
     isVersioned = true;
     
-    // Collection name should be the next part
-    if (pathParts.length > startIndex + 1) {
-      collectionName = pathParts[startIndex + 1];
+    // The rest of the path is the collection path, or the collection ID after _group
+    if (pathParts[startIndex + 1] === COLLECTION_GROUP_SEGMENT) {
+      collectionGroup = true;
+      collectionName = pathParts.slice(startIndex + 2).join('/') || null;
+    } else if (pathParts.length > startIndex + 1) {
+      collectionName = pathParts.slice(startIndex + 1).join('/');
     }
   } else {
     // Legacy format: /{collectionName} (no version specified)
@@ -94,8 +366,8 @@ function extractCollectionFromPath(request) {
     }
   }
   
-  console.log('Debug - Extracted collection:', collectionName, 'version:', version, 'isVersioned:', isVersioned);
-  return { collectionName, version, isVersioned };
+  console.log('Debug - Extracted collection:', collectionName, 'version:', version, 'isVersioned:', isVersioned, 'collectionGroup:', collectionGroup);
+  return { collectionName, version, isVersioned, collectionGroup };
 }
 
 /**
@@ -143,6 +415,8 @@ function validateApiVersion(version, isVersioned) {
           supportsRateLimit: true,
           supportsJwtAuthentication: true, // JWT authentication - v2 exclusive feature
           supportsAdvancedSorting: true,
+          supportsRelevanceRanking: true, // New: BM25 relevance ranking via sortBy=_score
+          supportsFacets: true, // New: value and range facet counts in meta.facets
           supportsFieldFiltering: true,
           supportsUserContext: true, // New: User-specific features
           supportsEnhancedMetadata: true, // New: Richer response metadata
@@ -159,28 +433,140 @@ function validateApiVersion(version, isVersioned) {
   }
 }
 
+/**
+ * Get the collection ID (last segment) of a collection path, e.g. "orders" for "users/u1/orders"
+ */
+function getCollectionId(collectionPath) {
+  return collectionPath.split('/').pop();
+}
+
+/**
+ * Check whether a collection path matches an entry of SEARCHABLE_COLLECTIONS
+ * Entries are compared segment by segment: a * segment matches any ID and {uid} the uid of
+ * the authenticated caller (never matched without one), e.g. "users/{uid}/orders"
+ */
+function matchesCollectionPattern(collectionPath, pattern, uid = null) {
+  const pathSegments = collectionPath.split('/');
+  const patternSegments = pattern.split('/');
+  
+  return pathSegments.length === patternSegments.length && patternSegments.every((segment, i) =>
+    segment === pathSegments[i] ||
+    segment === COLLECTION_PATTERN_WILDCARD ||
+    (segment === COLLECTION_PATTERN_UID && uid !== null && pathSegments[i] === uid));
+}
+
+/**
+ * Check whether a collection or document path belongs to the extension's own data
+ * Any collection segment starting with _search counts, so subcollections of the index
+ * (_searchIndex/products/terms) are covered as well
+ */
+function isInternalCollectionPath(path) {
+  return path.split('/').some((segment, i) => i % 2 === 0 && segment.startsWith(INTERNAL_COLLECTION_PREFIX));
+}
+
+/**
+ * Check whether SEARCHABLE_COLLECTIONS allows a collection group search
+ * A _group/{collectionId} entry always allows the group. A plain collection ID only allows it
+ * when no * or {uid} pattern ends with that ID, since the group would return the subcollections
+ * of every document, not only those the pattern allows
+ */
+function isCollectionGroupAllowed(collectionId) {
+  if (config.searchableCollections.includes(`${COLLECTION_GROUP_SEGMENT}/${collectionId}`)) {
+    return true;
+  }
+  
+  const restrictedByPattern = config.searchableCollections.some((pattern) => {
+    const segments = pattern.split('/');
+    return segments[segments.length - 1] === collectionId &&
+      segments.some(segment => segment === COLLECTION_PATTERN_WILDCARD || segment === COLLECTION_PATTERN_UID);
+  });
+  
+  return !restrictedByPattern && config.searchableCollections.includes(collectionId);
+}
+
 /**
  * Validate collection access permissions
+ * Collection groups are allowed by their collection ID, like top-level collections, unless
+ * a subcollection pattern restricts that ID (see isCollectionGroupAllowed).
+ * Subcollection paths (users/u1/orders) have to match an entry pattern; a {uid} segment
+ * only lets callers search below their own uid
+ * Returns { valid } or { valid: false, error } with a status and code when access is denied
  */
-async function validateCollectionAccess(collectionName) {
+async function validateCollectionAccess(collectionName, collectionGroup = false, authenticatedUser = null) {
   // Check if collection name is valid format
   if (!collectionName || typeof collectionName !== 'string') {
     return {
       valid: false,
-      error: 'Collection name is required in URL path (e.g., /v1/products or /products for legacy)'
+      error: collectionGroup ?
+        'Collection ID is required in URL path (e.g., /v2/_group/reviews)' :
+        'Collection name is required in URL path (e.g., /v1/products or /products for legacy)'
     };
   }
 
-  if (!/^[a-zA-Z0-9_-]+$/.test(collectionName)) {
+  const segments = collectionName.split('/');
+  if (!segments.every(segment => /^[a-zA-Z0-9_-]+$/.test(segment))) {
     return {
       valid: false,
       error: 'Collection name must contain only alphanumeric characters, hyphens, and underscores'
     };
   }
 
+  if (isInternalCollectionPath(collectionName)) {
+    return {
+      valid: false,
+      status: 403,
+      code: 'COLLECTION_ACCESS_DENIED',
+      error: `Collection '${collectionName}' is reserved for the search extension's own data`
+    };
+  }
+
+  if (collectionGroup && segments.length > 1) {
+    return {
+      valid: false,
+      error: 'Collection group searches take a single collection ID (e.g., /v2/_group/reviews)'
+    };
+  }
+
+  // Collection paths alternate collection and document IDs: users/{uid}/orders
+  if (segments.length % 2 === 0) {
+    return {
+      valid: false,
+      error: `'${collectionName}' is a document path, subcollection paths end with a collection (e.g., /v2/users/{uid}/orders)`
+    };
+  }
+
   // Check if collection is in allowed list (if configured)
   if (config.searchableCollections.length > 0) {
-    if (!config.searchableCollections.includes(collectionName)) {
+    const uid = authenticatedUser ? authenticatedUser.uid : null;
+    const allowed = collectionGroup ?
+      isCollectionGroupAllowed(collectionName) :
+      config.searchableCollections.some(pattern => matchesCollectionPattern(collectionName, pattern, uid));
+    
+    if (!allowed) {
+      if (collectionGroup && config.searchableCollections.includes(collectionName)) {
+        return {
+          valid: false,
+          status: 403,
+          code: 'COLLECTION_ACCESS_DENIED',
+          error: `Collection group '${collectionName}' would include subcollections that SEARCHABLE_COLLECTIONS only allows by path. Add '${COLLECTION_GROUP_SEGMENT}/${collectionName}' to allow it`
+        };
+      }
+      
+      // The path would be allowed below the caller's own uid
+      const ownerOnly = !collectionGroup && config.searchableCollections.some(pattern =>
+        matchesCollectionPattern(collectionName, pattern.split('/').map(segment =>
+          segment === COLLECTION_PATTERN_UID ? COLLECTION_PATTERN_WILDCARD : segment).join('/')));
+      if (ownerOnly) {
+        return {
+          valid: false,
+          status: 403,
+          code: 'COLLECTION_ACCESS_DENIED',
+          error: config.requireJwtAuthentication ?
+            `Collection '${collectionName}' can only be searched by the user it belongs to` :
+            `Collection '${collectionName}' requires JWT authentication to match {uid}`
+        };
+      }
+      
       return {
         valid: false,
         error: `Collection '${collectionName}' is not allowed. Allowed collections: ${config.searchableCollections.join(', ')}`
@@ -190,7 +576,7 @@ async function validateCollectionAccess(collectionName) {
 
   // Check if collection exists in Firestore
   try {
-    const collectionRef = db.collection(collectionName);
+    const collectionRef = collectionGroup ? db.collectionGroup(collectionName) : db.collection(collectionName);
     const snapshot = await collectionRef.limit(1).get();
     
     // Collection exists if it has at least one document or if it's empty but the reference is valid
@@ -368,10 +754,12 @@ async function validateJwtToken(token) {
 }
 
 /**
- * Calculate Levenshtein distance between two strings
+ * Calculate Damerau-Levenshtein distance between two strings
+ * Uses optimal string alignment: swapping two adjacent characters ("teh" -> "the") counts
+ * as one edit, but a transposed pair is not edited again
  * Used for fuzzy matching with typo tolerance
  */
-function levenshteinDistance(str1, str2) {
+function damerauLevenshteinDistance(str1, str2) {
   const len1 = str1.length;
   const len2 = str2.length;
   
@@ -398,85 +786,438 @@ function levenshteinDistance(str1, str2) {
           matrix[i - 1][j - 1] + 1  // Substitution
         );
       }
+      
+      if (i > 1 && j > 1 && str1[i - 1] === str2[j - 2] && str1[i - 2] === str2[j - 1]) {
+        matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + 1); // Transposition
+      }
     }
   }
   
   return matrix[len1][len2];
 }
 
+/**
+ * Check whether pattern matches some substring of text within maxEdits Damerau-Levenshtein
+ * (optimal string alignment) edits
+ * Sellers' column-by-column dynamic programming with Ukkonen's cut-off: only the pattern rows
+ * that can still end within maxEdits are computed, so a column costs O(maxEdits) on typical
+ * text instead of comparing every window with a full matrix, and the scan stops at the first
+ * match. With anchored, the match has to start at the beginning of text.
+ */
+function approximateSubstringMatch(pattern, text, maxEdits, anchored = false) {
+  const patternLen = pattern.length;
+  if (patternLen <= maxEdits) {
+    return true;
+  }
+  
+  // Three columns are kept: the one before last (for transpositions), the last and the next.
+  // Rows past a column's last active row are over the budget and read as maxEdits + 1
+  let before = new Array(patternLen + 1);
+  let previous = new Array(patternLen + 1);
+  let current = new Array(patternLen + 1);
+  let beforeActive = -1;
+  for (let i = 0; i <= maxEdits; i++) {
+    previous[i] = i;
+  }
+  let previousActive = maxEdits;
+  const overBudget = maxEdits + 1;
+  
+  for (let j = 1; j <= text.length; j++) {
+    const textChar = text[j - 1];
+    const lastRow = Math.min(previousActive + 1, patternLen);
+    current[0] = anchored ? j : 0;
+    
+    for (let i = 1; i <= lastRow; i++) {
+      const diagonal = previous[i - 1] + (pattern[i - 1] === textChar ? 0 : 1);
+      const left = (i <= previousActive ? previous[i] : overBudget) + 1;
+      let distance = Math.min(diagonal, left, current[i - 1] + 1);
+      
+      if (i > 1 && j > 1 && pattern[i - 1] === text[j - 2] && pattern[i - 2] === textChar && i - 2 <= beforeActive) {
+        distance = Math.min(distance, before[i - 2] + 1);
+      }
+      current[i] = distance;
+    }
+    
+    let currentActive = lastRow;
+    while (currentActive >= 0 && current[currentActive] > maxEdits) {
+      currentActive--;
+    }
+    if (currentActive === patternLen) {
+      return true;
+    }
+    // An anchored match can no longer start within budget
+    if (currentActive < 0) {
+      return false;
+    }
+    
+    [before, previous, current] = [previous, current, before];
+    beforeActive = previousActive;
+    previousActive = currentActive;
+  }
+  
+  return false;
+}
+
+// Accepted values of the v2 fuzziness parameter
+const FUZZINESS_VALUES = ['0', '1', '2', 'auto'];
+
+// v2 match modes:
+// - 'exact': a word of the field equals the term
+// - 'prefix': a word of the field starts with the term
+// - 'contains': the term appears anywhere in the field (phonetic fields also by sound)
+// - 'fuzzy': like contains, within the typo budget (phonetic fields also by sound)
+// - 'wildcard': a word of the field matches the pattern (* any characters, ? one character)
+// - 'phonetic': like fuzzy, and every searchable field is also matched by sound
+const MATCH_MODES = ['exact', 'prefix', 'contains', 'fuzzy', 'wildcard', 'phonetic'];
+const TYPO_MATCH_MODES = ['fuzzy', 'phonetic'];
+// Wildcards (* and ?) allowed in one term of a wildcard search
+const WILDCARD_MAX_PER_TERM = 10;
+
 /**
  * Calculate maximum allowed typos based on string length
- * Rule: 1 typo per N characters (configurable via FUZZY_SEARCH_TYPO_TOLERANCE)
+ * 'auto' allows 1 typo per N characters (configurable via FUZZY_SEARCH_TYPO_TOLERANCE) and
+ * matches very short terms (1-3 chars) exactly. An explicit number of edits is capped below
+ * half the term length so short terms are not matched by almost anything
+ */
+function getMaxTypos(length, fuzziness = 'auto') {
+  if (fuzziness === 'auto') {
+    return length <= 3 ? 0 : Math.floor(length / config.fuzzySearchTypoTolerance);
+  }
+  return Math.min(fuzziness, Math.floor((length - 1) / 2));
+}
+
+/**
+ * Match mode and fuzziness settings used when a request does not choose its own:
+ * fuzzy when ENABLE_FUZZY_SEARCH is on, contains otherwise
  */
-function getMaxTypos(length) {
-  return Math.floor(length / config.fuzzySearchTypoTolerance);
+function getDefaultMatchOptions() {
+  return config.enableFuzzySearch ?
+    { matchMode: 'fuzzy', fuzziness: 'auto', prefixLength: 0 } :
+    { matchMode: 'contains', fuzziness: 0, prefixLength: 0 };
 }
 
 /**
- * Check if two strings match with fuzzy tolerance
- * Allows 1 typo per N characters (configurable via FUZZY_SEARCH_TYPO_TOLERANCE)
+ * Parse the v2 matchMode, fuzziness and prefixLength parameters into the mode that runs
+ * Without a matchMode, fuzziness=0 runs as contains and other fuzziness values as fuzzy;
+ * fuzzy with fuzziness=0 runs as contains. fuzziness and prefixLength only apply to the
+ * fuzzy and phonetic modes
+ * Returns null when none is given (the install defaults apply)
+ * Throws an error describing the first invalid value
  */
-function fuzzyMatch(searchTerm, fieldValue, caseSensitive = false) {
-  if (!config.enableFuzzySearch) {
-    // Fall back to exact matching if fuzzy search is disabled
-    return caseSensitive ? 
-      fieldValue.includes(searchTerm) : 
-      fieldValue.toLowerCase().includes(searchTerm.toLowerCase());
+function parseMatchParameters({ matchMode, fuzziness, prefixLength } = {}) {
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  if (!isSet(matchMode) && !isSet(fuzziness) && !isSet(prefixLength)) {
+    return null;
   }
   
-  // Normalize case if needed
-  const normalizedSearchTerm = caseSensitive ? searchTerm : searchTerm.toLowerCase();
-  const normalizedFieldValue = caseSensitive ? fieldValue : fieldValue.toLowerCase();
+  const settings = { matchMode: null, fuzziness: 'auto', prefixLength: 0 };
   
-  // For very short search terms (1-3 chars), use exact matching
-  if (normalizedSearchTerm.length <= 3) {
-    return normalizedFieldValue.includes(normalizedSearchTerm);
+  if (isSet(matchMode)) {
+    const value = String(matchMode).trim().toLowerCase();
+    if (!MATCH_MODES.includes(value)) {
+      throw new Error(`matchMode must be one of: ${MATCH_MODES.join(', ')}`);
+    }
+    settings.matchMode = value;
+  }
+  
+  if (isSet(fuzziness)) {
+    const value = String(fuzziness).trim().toLowerCase();
+    if (!FUZZINESS_VALUES.includes(value)) {
+      throw new Error(`fuzziness must be one of: ${FUZZINESS_VALUES.join(', ')}`);
+    }
+    settings.fuzziness = value === 'auto' ? 'auto' : parseInt(value, 10);
   }
   
-  // Calculate maximum allowed typos for the search term
-  const maxTypos = getMaxTypos(normalizedSearchTerm.length);
+  if (isSet(prefixLength)) {
+    const value = String(prefixLength).trim();
+    if (!/^\d+$/.test(value)) {
+      throw new Error('prefixLength must be a non-negative integer');
+    }
+    settings.prefixLength = parseInt(value, 10);
+  }
   
-  // Check if the search term appears as a substring with fuzzy matching
-  // We'll check each possible substring of the field value
-  const searchLen = normalizedSearchTerm.length;
-  const fieldLen = normalizedFieldValue.length;
+  if (settings.matchMode === null) {
+    // Only fuzziness or prefixLength: typos follow them, the mode follows the install default
+    const defaults = getDefaultMatchOptions();
+    settings.matchMode = isSet(fuzziness) ? 'fuzzy' : defaults.matchMode;
+    if (!isSet(fuzziness)) {
+      settings.fuzziness = defaults.fuzziness;
+    }
+  } else if (!TYPO_MATCH_MODES.includes(settings.matchMode)) {
+    if (isSet(fuzziness) || isSet(prefixLength)) {
+      throw new Error(`fuzziness and prefixLength only apply to matchMode ${TYPO_MATCH_MODES.join(' and ')}`);
+    }
+    settings.fuzziness = 0;
+  }
   
-  // If search term is longer than field value, check direct distance
-  if (searchLen > fieldLen) {
-    const distance = levenshteinDistance(normalizedSearchTerm, normalizedFieldValue);
-    return distance <= maxTypos;
+  if (settings.matchMode === 'fuzzy' && settings.fuzziness === 0) {
+    settings.matchMode = 'contains';
   }
   
-  // Check all possible substrings of the field value
-  for (let i = 0; i <= fieldLen - searchLen; i++) {
-    const substring = normalizedFieldValue.substring(i, i + searchLen);
-    const distance = levenshteinDistance(normalizedSearchTerm, substring);
-    
-    if (distance <= maxTypos) {
+  return settings;
+}
+
+/**
+ * Describe the match mode that ran for meta.query.matchMode
+ * The search index looks up words starting with each term, so contains, fuzzy and phonetic
+ * searches it serves do not match inside words and are reported as prefix matching
+ */
+function getReportedMatchMode(matchMode, searchStrategy) {
+  if (searchStrategy !== 'index') {
+    return matchMode;
+  }
+  if (matchMode === 'contains') {
+    return 'prefix (index)';
+  }
+  return TYPO_MATCH_MODES.includes(matchMode) ? `${matchMode} prefix (index)` : matchMode;
+}
+
+const TURKIC_LOCALE_PATTERN = /^(tr|az)(-|$)/i;
+
+// CJK scripts (plus the katakana prolonged sound mark) are tokenized into bigrams
+const CJK_CHARACTER_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u30FC]/u;
+const CJK_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u30FC]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u30FC]+/gu;
+
+/**
+ * Normalize text before it is compared, sorted or indexed
+ * Without folding this only lowercases (unless case-sensitive). With TEXT_NORMALIZATION=fold,
+ * compatibility characters are decomposed (NFKD: full-width letters, ligatures), diacritics
+ * are stripped ("São" -> "Sao") and case is folded for the configured locale
+ * ("fold:tr" lowercases I to dotless ı, ß folds to ss)
+ */
+function normalizeText(text, caseSensitive = false) {
+  const value = String(text);
+  if (!config.foldText) {
+    return caseSensitive ? value : value.toLowerCase();
+  }
+  
+  const lowercased = caseSensitive ? value : value.toLocaleLowerCase(config.caseFoldingLocale);
+  // Kana voicing marks are kept and recomposed (NFC) together with Hangul syllables
+  const folded = lowercased.normalize('NFKD').replace(/[^\P{M}\u3099\u309A]+/gu, '').normalize('NFC');
+  if (caseSensitive) {
+    return folded;
+  }
+  
+  const caseFolded = folded.toLocaleLowerCase(config.caseFoldingLocale).replace(/ß/g, 'ss');
+  // Outside Turkic locales the dotless ı is just another i
+  return TURKIC_LOCALE_PATTERN.test(config.caseFoldingLocale) ? caseFolded : caseFolded.replace(/ı/g, 'i');
+}
+
+/**
+ * Check if a term matches a field value in the request's match mode
+ * The fuzzy mode allows 1 typo per N characters (configurable via FUZZY_SEARCH_TYPO_TOLERANCE)
+ * unless the request chose its own fuzziness; the first prefixLength characters must match
+ * exactly. In phonetic mode a term also matches a word that sounds the same
+ */
+function fuzzyMatch(searchTerm, fieldValue, caseSensitive = false, allowTypos = true, matchOptions = getDefaultMatchOptions()) {
+  // Normalize case (and diacritics when folding is enabled)
+  const normalizedSearchTerm = normalizeText(searchTerm, caseSensitive);
+  const normalizedFieldValue = normalizeText(fieldValue, caseSensitive);
+  const { matchMode } = matchOptions;
+  
+  if (matchMode === 'exact' || matchMode === 'prefix' || matchMode === 'wildcard') {
+    return wordsMatch(normalizedSearchTerm, normalizedFieldValue, matchMode);
+  }
+  
+  // "Jon Smyth" sounds like "John Smith" although short names allow few or no typos
+  if (matchMode === 'phonetic' && allowTypos && phoneticMatch(normalizedSearchTerm, normalizedFieldValue)) {
+    return true;
+  }
+  
+  // Fall back to exact matching if no typos are allowed. CJK terms are always matched
+  // exactly: a single character carries a whole syllable or word, so typo budgets do not apply
+  const maxTypos = TYPO_MATCH_MODES.includes(matchMode) && allowTypos && !containsCjk(normalizedSearchTerm)
+    ? getMaxTypos(normalizedSearchTerm.length, matchOptions.fuzziness)
+    : 0;
+  if (maxTypos === 0) {
+    return normalizedFieldValue.includes(normalizedSearchTerm);
+  }
+  
+  // Leading characters covered by prefixLength are never edited: the rest of the term is
+  // matched right after each exact occurrence of the prefix
+  const prefixLength = Math.min(matchOptions.prefixLength, normalizedSearchTerm.length);
+  if (prefixLength === 0) {
+    return approximateSubstringMatch(normalizedSearchTerm, normalizedFieldValue, maxTypos);
+  }
+  
+  const prefix = normalizedSearchTerm.slice(0, prefixLength);
+  const remainder = normalizedSearchTerm.slice(prefixLength);
+  for (let start = normalizedFieldValue.indexOf(prefix); start !== -1; start = normalizedFieldValue.indexOf(prefix, start + 1)) {
+    const followingText = normalizedFieldValue.slice(start + prefixLength, start + prefixLength + remainder.length + maxTypos);
+    if (approximateSubstringMatch(remainder, followingText, maxTypos, true)) {
       return true;
     }
   }
   
-  // Also check if the entire field value is similar to search term (for shorter field values)
-  if (fieldLen <= searchLen + maxTypos) {
-    const distance = levenshteinDistance(normalizedSearchTerm, normalizedFieldValue);
-    return distance <= maxTypos;
+  return false;
+}
+
+/**
+ * Split text into words on any non letter/number character; wildcard patterns keep their * and ? characters
+ */
+function splitWords(text, keepWildcards = false) {
+  return text.split(keepWildcards ? /[^\p{L}\p{N}*?]+/u : /[^\p{L}\p{N}]+/u).filter(word => word.length > 0);
+}
+
+/**
+ * Match a wildcard pattern against a whole word (or anywhere in the text when not anchored):
+ * * matches any characters, ? a single character and everything else itself
+ * Runs of * are collapsed and the text is walked with two pointers, backing up only to the
+ * last *, so patterns with many wildcards cannot backtrack like a regular expression would
+ */
+function wildcardMatch(pattern, text, anchored = true) {
+  const patternChars = Array.from(anchored ? pattern : `*${pattern}*`)
+    .filter((ch, i, chars) => ch !== '*' || chars[i - 1] !== '*');
+  const textChars = Array.from(text);
+  let p = 0;
+  let t = 0;
+  let starIndex = -1;
+  let starText = 0;
+  
+  while (t < textChars.length) {
+    if (p < patternChars.length && patternChars[p] === '*') {
+      starIndex = p++;
+      starText = t;
+    } else if (p < patternChars.length && (patternChars[p] === '?' || patternChars[p] === textChars[t])) {
+      p++;
+      t++;
+    } else if (starIndex !== -1) {
+      // Let the last * take one more character and retry the rest of the pattern
+      p = starIndex + 1;
+      t = ++starText;
+    } else {
+      return false;
+    }
+  }
+  
+  while (p < patternChars.length && patternChars[p] === '*') {
+    p++;
+  }
+  return p === patternChars.length;
+}
+
+/**
+ * Count the wildcards of a pattern, with a run of * counting once
+ */
+function countWildcards(pattern) {
+  return (pattern.replace(/\*+/g, '*').match(/[*?]/g) || []).length;
+}
+
+/**
+ * Match the words of a term against consecutive words of a field value in the exact,
+ * prefix or wildcard mode. CJK text has no spaces between words, so CJK terms are
+ * found anywhere in the text
+ */
+function wordsMatch(term, text, matchMode) {
+  if (containsCjk(term)) {
+    return matchMode === 'wildcard' ? wildcardMatch(term, text, false) : text.includes(term);
+  }
+  
+  const termWords = splitWords(term, matchMode === 'wildcard');
+  // Values without letters or numbers (e.g. "#") are matched as written
+  if (termWords.length === 0) {
+    return text.includes(term);
   }
   
+  const fieldWords = splitWords(text);
+  const wordMatches = {
+    exact: (fieldWord, termWord) => fieldWord === termWord,
+    prefix: (fieldWord, termWord) => fieldWord.startsWith(termWord),
+    wildcard: (fieldWord, termWord) => wildcardMatch(termWord, fieldWord)
+  }[matchMode];
+  
+  for (let i = 0; i + termWords.length <= fieldWords.length; i++) {
+    if (termWords.every((termWord, j) => wordMatches(fieldWords[i + j], termWord))) {
+      return true;
+    }
+  }
   return false;
 }
 
+// Recently computed Double Metaphone codes by word
+const phoneticCodeCache = new Map();
+
+/**
+ * Get the Double Metaphone codes of a word (primary and alternate pronunciation)
+ * Words without sounds the algorithm encodes (digits, CJK) have no codes
+ */
+function getPhoneticCodes(word) {
+  if (!phoneticCodeCache.has(word)) {
+    if (phoneticCodeCache.size >= PHONETIC_CODE_CACHE_SIZE) {
+      phoneticCodeCache.clear();
+    }
+    phoneticCodeCache.set(word, [...new Set(doubleMetaphone(word).filter(code => code.length > 0))]);
+  }
+  return phoneticCodeCache.get(word);
+}
+
+/**
+ * Check whether every word of a term sounds like a word of the field value,
+ * i.e. they share a Double Metaphone code ("smyth" and "smith" both encode to SM0)
+ */
+function phoneticMatch(searchTerm, fieldValue) {
+  const termWords = tokenizeText(searchTerm);
+  if (termWords.length === 0) {
+    return false;
+  }
+  
+  const fieldCodes = new Set(tokenizeText(fieldValue).flatMap(getPhoneticCodes));
+  return termWords.every(word => {
+    const codes = getPhoneticCodes(word);
+    return codes.length > 0 && codes.some(code => fieldCodes.has(code));
+  });
+}
+
+/**
+ * Check whether a searchable field is matched by sound (configured with field:phonetic)
+ */
+function isPhoneticField(field) {
+  return config.phoneticFields.includes(field) ||
+    config.phoneticFields.some(fieldPattern => fieldPathMatchesPattern(field, fieldPattern));
+}
+
+/**
+ * Get the match options used for a field: phonetic fields are matched by sound in the
+ * fuzzy and contains modes (the defaults)
+ */
+function getFieldMatchOptions(field, matchOptions) {
+  return (matchOptions.matchMode === 'fuzzy' || matchOptions.matchMode === 'contains') && isPhoneticField(field) ?
+    { ...matchOptions, matchMode: 'phonetic' } :
+    matchOptions;
+}
+
 /**
  * HTTP endpoint for searching the configured Firestore collection
  * 
  * Supported Methods: GET, POST
  * 
+ * Routes: /v2/{collection}, /v2/{collection}/{docId}/{subcollection} (allowed by patterns like
+ * users/{uid}/orders in SEARCHABLE_COLLECTIONS), /v2/_group/{collectionId} (collection group,
+ * results carry _path and _parentPath) and /{collection} (legacy)
+ * 
  * Parameters:
- * - searchValue: The value to search for
+ * - searchValue: The value to search for (split into terms that are matched independently)
+ * - operator: 'and' (every term must match, default) or 'or'
+ * - minimumShouldMatch: Number or percentage of terms that must match with operator 'or' (default: 1)
+ * - q: Query string with "phrases", -exclusions, field:scopes, OR and (groups) (v2, instead of searchValue)
+ * - filters / filter: Structured filters (==, !=, <, <=, >, >=, in, array-contains) applied as Firestore
+ *   where clauses - a JSON array of { field, op, value } (POST) or repeated filter=field:op:value (GET)
+ * - facets: Comma-separated fields to count values for over all matches, returned in meta.facets (v2)
+ * - near / radius / bbox: Geo search on GEO_FIELDS - "lat,lng" with a distance like 5km, or
+ *   "minLat,minLng,maxLat,maxLng"; results carry _distance from near (v2)
+ * - geoField: GeoPoint field used for geo search (optional, default: first of GEO_FIELDS) (v2)
+ * - matchMode: 'exact', 'prefix', 'contains', 'fuzzy', 'wildcard' (jo*n, j?hn) or 'phonetic'
+ *   (optional, default: 'fuzzy', or 'contains' when fuzzy search is disabled); meta.query.matchMode
+ *   reports the mode that ran, e.g. 'prefix (index)' for contains searches served by the search index (v2)
+ * - fuzziness: Typos allowed per term - 0, 1, 2 or 'auto' (optional, default: install settings) (v2)
+ * - prefixLength: Leading characters of each term that must match exactly (optional, default: 0) (v2)
  * - limit: Maximum number of results to return (optional, default: 50)
+ * - pageToken: meta.nextPageToken from the previous response, to fetch the next page of the same search
+ * - language: Analyzer language used to stem terms (optional, default: configured for the collection)
  * - caseSensitive: Whether search should be case sensitive (optional, default: false)
- * - sortBy: Field name to sort results by (optional, supports nested fields with dot notation)
- * - direction: Sort direction - 'asc', 'desc', 'ascending', or 'descending' (optional, default: 'asc')
+ * - sortBy: Field name to sort results by (optional, supports nested fields with dot notation),
+ *   '_score' to rank by relevance (default for v2) or '_distance' to sort by distance from near
+ * - direction: Sort direction - 'asc', 'desc', 'ascending', or 'descending' (optional, default: 'asc', 'desc' for '_score')
  * 
  * Note: returnFields are configured during extension installation and cannot be overridden via request
  * 
@@ -576,13 +1317,29 @@ exports.searchCollectionHttp = onRequest({
       searchValue,
       limit = config.defaultSearchLimit,
       caseSensitive = config.enableCaseSensitiveSearch,
-      sortBy,
-      direction = 'asc'
+      sortBy: requestedSortBy,
+      direction: requestedDirection,
+      boosts,
+      operator,
+      minimumShouldMatch,
+      q,
+      filters,
+      filter,
+      facets,
+      pageToken,
+      language,
+      near,
+      radius,
+      bbox,
+      geoField,
+      matchMode,
+      fuzziness,
+      prefixLength
     } = params;
 
     // Extract collection and version from URL path
     const pathInfo = extractCollectionFromPath(request);
-    const { collectionName: searchCollection, version, isVersioned } = pathInfo;
+    const { collectionName: searchCollection, version, isVersioned, collectionGroup } = pathInfo;
     
     // Validate API version
     const versionValidation = validateApiVersion(version, isVersioned);
@@ -598,13 +1355,18 @@ exports.searchCollectionHttp = onRequest({
       return;
     }
     
+    // v2 ranks results by relevance unless another sort is requested;
+    // relevance defaults to best matches first
+    const sortBy = requestedSortBy || (version === 'v2' ? SCORE_SORT_FIELD : undefined);
+    const direction = requestedDirection || (sortBy === SCORE_SORT_FIELD ? 'desc' : 'asc');
+    
     // Validate collection access
-    const collectionValidation = await validateCollectionAccess(searchCollection);
+    const collectionValidation = await validateCollectionAccess(searchCollection, collectionGroup, authenticatedUser);
     if (!collectionValidation.valid) {
-      response.status(400).json({
+      response.status(collectionValidation.status || 400).json({
         success: false,
         error: {
-          code: 'INVALID_COLLECTION',
+          code: collectionValidation.code || 'INVALID_COLLECTION',
           message: collectionValidation.error,
           timestamp: new Date().toISOString()
         }
@@ -615,11 +1377,28 @@ exports.searchCollectionHttp = onRequest({
     // Use configured searchable fields
     const searchableFields = config.searchableFields;
 
+    // Per-request boosts, the q query string, facets, geo and match options are v2 features
+    const requestBoosts = version === 'v2' ? boosts : undefined;
+    const queryString = version === 'v2' ? q : undefined;
+    const requestFacets = version === 'v2' ? facets : undefined;
+    const requestGeo = version === 'v2' ? { near, radius, bbox, geoField } : {};
+    const requestMatchOptions = version === 'v2' ? { matchMode, fuzziness, prefixLength } : {};
+
     // Input validation
     const validationError = validateSearchParameters({
       searchValue,
       sortBy,
-      direction
+      direction,
+      boosts: requestBoosts,
+      operator,
+      minimumShouldMatch,
+      queryString,
+      filters,
+      filter,
+      facets: requestFacets,
+      language,
+      geo: requestGeo,
+      matchOptions: requestMatchOptions
     });
     
     if (validationError) {
@@ -636,33 +1415,100 @@ exports.searchCollectionHttp = onRequest({
     // Use configured searchable fields and return fields
     const searchFields = searchableFields; // Already parsed in config
     const returnFieldsList = config.defaultReturnFields.length > 0 ? config.defaultReturnFields : null;
+    const searchFilters = parseFilterParameters({ filters, filter });
+    const facetFields = parseFacetParameter(requestFacets);
+    const geoSearch = parseGeoParameters(requestGeo);
+    const requestedMatchOptions = parseMatchParameters(requestMatchOptions);
+    const searchMatchOptions = requestedMatchOptions || getDefaultMatchOptions();
+    const searchLanguage = language ? language.toLowerCase() : getCollectionLanguage(getCollectionId(searchCollection));
+    const fieldBoosts = {
+      ...config.fieldBoosts,
+      ...(requestBoosts ? parseBoostsParameter(requestBoosts) : {})
+    };
 
     // Validate limit
     const searchLimit = Math.min(Math.max(parseInt(limit) || config.defaultSearchLimit, 1), config.maxSearchLimit);
 
+    // Page tokens are bound to everything that decides the matches and their order
+    const queryHash = hashSearchRequest({
+      collection: collectionGroup ? `${COLLECTION_GROUP_SEGMENT}/${searchCollection}` : searchCollection,
+      version: version || 'legacy',
+      searchValue: searchValue || null,
+      q: queryString || null,
+      operator: operator || null,
+      minimumShouldMatch: minimumShouldMatch || null,
+      caseSensitive: String(caseSensitive),
+      language: searchLanguage,
+      filters: searchFilters,
+      geo: geoSearch,
+      matchOptions: searchMatchOptions,
+      sortBy: sortBy || null,
+      direction: direction || null,
+      searchFields,
+      fieldBoosts
+    });
 
+    let pagePosition = null;
+    if (pageToken !== undefined && pageToken !== null && pageToken !== '') {
+      const pageTokenValidation = await validatePageToken(pageToken, queryHash, searchCollection, collectionGroup);
+      
+      if (!pageTokenValidation.valid) {
+        response.status(400).json({
+          success: false,
+          error: {
+            code: pageTokenValidation.code,
+            message: pageTokenValidation.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+        return;
+      }
+      
+      pagePosition = pageTokenValidation.position;
+    }
 
     // Perform the search
-    const results = await performSearch({
+    const { results, searchStrategy, searchQuery, facets: facetCounts, nextPosition, totalHits, totalHitsRelation } = await performSearch({
       collection: searchCollection,
+      collectionGroup,
       searchFields,
       returnFields: returnFieldsList,
       searchValue,
       limit: searchLimit,
       caseSensitive,
       sortBy,
-      direction
+      direction,
+      fieldBoosts,
+      operator,
+      minimumShouldMatch,
+      queryString,
+      filters: searchFilters,
+      facets: facetFields,
+      pagePosition,
+      language: searchLanguage,
+      includeMatches: version === 'v2',
+      geo: geoSearch,
+      matchOptions: searchMatchOptions,
+      matchInsideWords: requestedMatchOptions !== null && requestedMatchOptions.matchMode === 'contains'
     });
 
-
+    const nextPageToken = nextPosition ? await createPageToken(queryHash, nextPosition) : null;
 
     // Build response metadata based on API version
     const baseMeta = {
       totalResults: results.length,
+      totalHits,
+      totalHitsRelation,
+      nextPageToken,
       searchCollection,
       searchValue,
       searchFields,
       returnFields: returnFieldsList,
+      filters: searchFilters,
+      geo: geoSearch,
+      language: searchLanguage,
+      ignoredTerms: searchQuery.ignoredTerms,
+      synonyms: searchQuery.synonyms,
       sortBy: sortBy || null,
       direction: direction || null,
       version: version || 'legacy',
@@ -679,9 +1525,26 @@ exports.searchCollectionHttp = onRequest({
     if (version === 'v2') {
       baseMeta.apiVersion = 'v2';
       baseMeta.features = versionValidation.features;
+      baseMeta.collectionGroup = collectionGroup;
+      baseMeta.fieldBoosts = fieldBoosts;
+      baseMeta.query = {
+        q: queryString || null,
+        terms: searchQuery.terms,
+        operator: searchQuery.operator,
+        requiredMatches: searchQuery.requiredMatches,
+        tree: searchQuery.tree,
+        matchMode: getReportedMatchMode(searchMatchOptions.matchMode, searchStrategy),
+        fuzziness: searchMatchOptions.fuzziness,
+        prefixLength: searchMatchOptions.prefixLength
+      };
+      if (facetCounts) {
+        baseMeta.facets = facetCounts;
+      }
       baseMeta.performance = {
         searchOptimized: true,
-        fuzzySearchEnabled: config.enableFuzzySearch,
+        searchStrategy,
+        searchIndexEnabled: config.enableSearchIndex,
+        fuzzySearchEnabled: TYPO_MATCH_MODES.includes(searchMatchOptions.matchMode) && searchMatchOptions.fuzziness !== 0,
         rateLimitingEnabled: config.rateLimitRequestsPerMinute > 0
       };
       baseMeta.security = {
@@ -715,19 +1578,36 @@ exports.searchCollectionHttp = onRequest({
 /**
  * Validate search parameters
  */
-function validateSearchParameters({searchValue, sortBy, direction}) {
+function validateSearchParameters({searchValue, sortBy, direction, boosts, operator, minimumShouldMatch, queryString, filters, filter, facets, language, geo = {}, matchOptions = {}}) {
   // Validate extension configuration
   if (!config.searchableFields || !Array.isArray(config.searchableFields) || config.searchableFields.length === 0) {
     return 'Extension configuration error: SEARCHABLE_FIELDS is required and must contain at least one field';
   }
 
-  // Validate search value
-  if (!searchValue || typeof searchValue !== 'string') {
-    return 'searchValue is required and must be a string';
-  }
-
-  if (searchValue.trim().length === 0) {
-    return 'searchValue cannot be empty';
+  // Validate query string (v2 alternative to searchValue)
+  if (queryString !== undefined && queryString !== null && queryString !== '') {
+    if (typeof queryString !== 'string') {
+      return 'q must be a string';
+    }
+    
+    if (searchValue !== undefined && searchValue !== null && searchValue !== '') {
+      return 'Use either searchValue or q, not both';
+    }
+    
+    try {
+      parseQueryString(queryString, config.searchableFields);
+    } catch (error) {
+      return `q is invalid: ${error.message}`;
+    }
+  } else {
+    // Validate search value
+    if (!searchValue || typeof searchValue !== 'string') {
+      return 'searchValue is required and must be a string';
+    }
+
+    if (searchValue.trim().length === 0) {
+      return 'searchValue cannot be empty';
+    }
   }
 
   // Validate sorting parameters
@@ -753,6 +1633,84 @@ function validateSearchParameters({searchValue, sortBy, direction}) {
     }
   }
 
+  // Validate structured filters
+  try {
+    parseFilterParameters({ filters, filter });
+  } catch (error) {
+    return error.message;
+  }
+
+  // Validate facet fields
+  try {
+    parseFacetParameter(facets);
+  } catch (error) {
+    return `facets is invalid: ${error.message}`;
+  }
+
+  // Validate geo parameters; sorting by distance needs a point to measure from
+  let geoSearch;
+  try {
+    geoSearch = parseGeoParameters(geo);
+  } catch (error) {
+    return error.message;
+  }
+  if (sortBy === GEO_DISTANCE_FIELD && !(geoSearch && geoSearch.near)) {
+    return `sortBy=${GEO_DISTANCE_FIELD} requires near=lat,lng`;
+  }
+
+  // Validate matchMode, fuzziness and prefixLength
+  let parsedMatchOptions;
+  try {
+    parsedMatchOptions = parseMatchParameters(matchOptions);
+  } catch (error) {
+    return error.message;
+  }
+  
+  // Every wildcard term is compared with each word of the searched fields, so limit its wildcards
+  if (parsedMatchOptions && parsedMatchOptions.matchMode === 'wildcard') {
+    const searchText = typeof queryString === 'string' && queryString !== '' ? queryString : searchValue;
+    if (searchText.split(/\s+/).some(term => countWildcards(term) > WILDCARD_MAX_PER_TERM)) {
+      return `Wildcard terms can contain at most ${WILDCARD_MAX_PER_TERM} wildcards (* and ?)`;
+    }
+  }
+
+  // Validate multi-term matching parameters
+  if (operator !== undefined && operator !== null && operator !== '') {
+    if (typeof operator !== 'string' || !['and', 'or'].includes(operator.toLowerCase())) {
+      return 'operator must be one of: and, or';
+    }
+  }
+
+  if (minimumShouldMatch !== undefined && minimumShouldMatch !== null && minimumShouldMatch !== '') {
+    if (!/^-?\d+%?$/.test(String(minimumShouldMatch).trim())) {
+      return 'minimumShouldMatch must be an integer (e.g. 2, -1) or a percentage (e.g. 75%)';
+    }
+  }
+
+  // Validate analyzer language override
+  if (language !== undefined && language !== null && language !== '') {
+    if (typeof language !== 'string' || !SUPPORTED_LANGUAGES.includes(language.toLowerCase())) {
+      return `language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`;
+    }
+  }
+
+  // Validate per-field boosts
+  if (boosts !== undefined && boosts !== null && boosts !== '') {
+    const parsedBoosts = parseBoostsParameter(boosts);
+    if (!parsedBoosts) {
+      return 'boosts must be an object of field names to numbers or a string like "title^3,description^1"';
+    }
+    
+    for (const [field, boost] of Object.entries(parsedBoosts)) {
+      if (!config.searchableFields.includes(field)) {
+        return `boosts field '${field}' is not a searchable field. Searchable fields: ${config.searchableFields.join(', ')}`;
+      }
+      if (!Number.isFinite(boost) || boost <= 0) {
+        return `boosts value for '${field}' must be a positive number`;
+      }
+    }
+  }
+
   return null;
 }
 
@@ -775,346 +1733,3175 @@ function parseFieldList(fieldString) {
 }
 
 /**
- * Perform the actual search operation
+ * Split a search value into independently matched query terms
+ * Case is preserved so case-sensitive searches still apply to each term
+ * Wildcard characters (* and ?) are kept as part of the terms when keepWildcards is set
  */
-async function performSearch({
-  collection,
-  searchFields,
-  returnFields,
-  searchValue,
-  limit,
-  caseSensitive,
-  sortBy,
-  direction
-}) {
-  const collectionRef = db.collection(collection);
-  const results = [];
-  const processedValue = caseSensitive ? searchValue : searchValue.toLowerCase();
+function splitQueryTerms(searchValue, keepWildcards = false) {
+  const terms = splitWords(String(searchValue), keepWildcards);
+  
+  return [...new Set(terms)];
+}
 
-  try {
-    console.log(`Performing optimized search on ${collection} for "${searchValue}"`);
-    console.log(`Search config: caseSensitive=${caseSensitive}, fuzzySearch=${config.enableFuzzySearch}, fields=[${searchFields.join(', ')}]`);
+/**
+ * Resolve minimumShouldMatch into a number of required terms
+ * Supports counts ("2"), all-but counts ("-1") and percentages ("75%", "-25%")
+ */
+function resolveMinimumShouldMatch(minimumShouldMatch, termCount) {
+  if (minimumShouldMatch === undefined || minimumShouldMatch === null || minimumShouldMatch === '') {
+    return 1;
+  }
+  
+  const value = String(minimumShouldMatch).trim();
+  let required;
+  
+  if (value.endsWith('%')) {
+    const percentage = parseInt(value.slice(0, -1));
+    const terms = Math.floor(termCount * Math.abs(percentage) / 100);
+    required = percentage < 0 ? termCount - terms : terms;
+  } else {
+    const count = parseInt(value);
+    required = count < 0 ? termCount + count : count;
+  }
+  
+  return Math.min(Math.max(required, 1), termCount);
+}
+
+/**
+ * Split a query string into lexical tokens
+ * Recognizes parentheses, "quoted phrases", leading - for exclusion,
+ * field: scopes and the OR / AND / NOT keywords
+ */
+function tokenizeQueryString(queryString) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < queryString.length) {
+    const ch = queryString[i];
     
-    // Strategy: Use optimized queries when possible, fall back to limited scan
-    let snapshot;
-    let usedOptimizedQuery = false;
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
     
-    // For exact prefix matching (when fuzzy search is disabled and search term is long enough)
-    // Note: Range queries only work for exact case matches, so we'll be more conservative
-    if (!config.enableFuzzySearch && searchValue.length >= 3 && caseSensitive) {
-      try {
-        // Try to use range query for the first searchable field (case-sensitive only)
-        const primaryField = searchFields[0];
-        const endValue = searchValue.slice(0, -1) + String.fromCharCode(searchValue.charCodeAt(searchValue.length - 1) + 1);
-        
-        let query = collectionRef
-          .where(primaryField, '>=', searchValue)
-          .where(primaryField, '<', endValue);
-          
-        // Add sorting if specified (this will require a composite index)
-        if (sortBy && sortBy.trim() !== '') {
-          const sortDirection = direction && ['desc', 'descending'].includes(direction.toLowerCase()) ? 'desc' : 'asc';
-          query = query.orderBy(sortBy, sortDirection);
-        }
-        
-        snapshot = await query.limit(limit * 2).get();
-        usedOptimizedQuery = true;
-        console.log(`Used optimized range query on ${primaryField} (case-sensitive), found ${snapshot.size} documents`);
-      } catch (error) {
-        console.log(`Range query failed (${error.message}), falling back to collection scan`);
-        usedOptimizedQuery = false;
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+    
+    if (ch === '"') {
+      const end = queryString.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new Error('Unterminated phrase, missing closing quote');
       }
+      tokens.push({ type: 'phrase', value: queryString.slice(i + 1, end) });
+      i = end + 1;
+      continue;
     }
     
-    // Fall back to limited collection scan if optimized query not used or failed
-    if (!usedOptimizedQuery) {
-      let query = collectionRef;
-      
-      // Add sorting if specified
-      if (sortBy && sortBy.trim() !== '') {
-        const sortDirection = direction && ['desc', 'descending'].includes(direction.toLowerCase()) ? 'desc' : 'asc';
-        query = query.orderBy(sortBy, sortDirection);
+    // A leading minus excludes the following term, phrase or group
+    if (ch === '-' && i + 1 < queryString.length && !/\s/.test(queryString[i + 1])) {
+      tokens.push({ type: 'not' });
+      i++;
+      continue;
+    }
+    
+    let end = i;
+    while (end < queryString.length && !/[\s()"]/.test(queryString[end])) {
+      end++;
+    }
+    const word = queryString.slice(i, end);
+    i = end;
+    
+    const fieldMatch = word.match(/^([a-zA-Z0-9_.*[\]]+):(.*)$/);
+    if (fieldMatch) {
+      tokens.push({ type: 'field', value: fieldMatch[1] });
+      if (fieldMatch[2]) {
+        tokens.push({ type: 'word', value: fieldMatch[2] });
       }
-      
-      // Limit the scan to a reasonable number to avoid timeouts
-      snapshot = await query.limit(Math.min(limit * 5, 500)).get();
-      console.log(`Used collection scan with sorting, found ${snapshot.size} documents to filter`);
+    } else if (word === 'OR' || word === '||') {
+      tokens.push({ type: 'or' });
+    } else if (word === 'AND' || word === '&&') {
+      tokens.push({ type: 'and' });
+    } else if (word === 'NOT') {
+      tokens.push({ type: 'not' });
+    } else {
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parse the q query string mini-language into a query tree
+ * 
+ * Syntax (adjacent clauses are combined with AND, which binds tighter than OR):
+ * - laptop             term, fuzzy matched like searchValue terms
+ * - "gaming laptop"    exact phrase (consecutive words)
+ * - -refurbished       exclusion (also NOT refurbished)
+ * - title:laptop       clause scoped to a searchable field
+ * - a OR b, (a OR b) c grouping with parentheses
+ * 
+ * Throws an Error describing the problem when the query string is invalid
+ */
+function parseQueryString(queryString, searchFields) {
+  const tokens = tokenizeQueryString(queryString);
+  let position = 0;
+  
+  if (tokens.length === 0) {
+    throw new Error('Query string is empty');
+  }
+  
+  const peek = () => tokens[position];
+  const describe = (token) => token.value !== undefined ? `'${token.value}'` : `'${token.type.toUpperCase()}'`;
+  
+  const parseOr = (field) => {
+    const children = [parseAnd(field)];
+    while (peek() && peek().type === 'or') {
+      position++;
+      children.push(parseAnd(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+  
+  const parseAnd = (field) => {
+    const children = [parseUnary(field)];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      if (peek().type === 'and') {
+        position++;
+      }
+      children.push(parseUnary(field));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  
+  const parseUnary = (field) => {
+    if (peek() && peek().type === 'not') {
+      position++;
+      return { type: 'not', child: parseUnary(field) };
+    }
+    return parsePrimary(field);
+  };
+  
+  const parsePrimary = (field) => {
+    const token = tokens[position++];
+    if (!token) {
+      throw new Error('Unexpected end of query string');
+    }
+    
+    switch (token.type) {
+      case '(': {
+        const node = parseOr(field);
+        if (!peek() || peek().type !== ')') {
+          throw new Error('Missing closing parenthesis');
+        }
+        position++;
+        return node;
+      }
+      case 'field':
+        if (field) {
+          throw new Error(`Field scope '${token.value}:' cannot be nested inside '${field}:'`);
+        }
+        if (!searchFields.some(searchField => fieldPathMatchesPattern(token.value, searchField))) {
+          throw new Error(`Field '${token.value}' is not a searchable field. Searchable fields: ${searchFields.join(', ')}`);
+        }
+        return parseUnary(token.value);
+      case 'phrase':
+        if (token.value.trim().length === 0) {
+          throw new Error('Phrases cannot be empty');
+        }
+        return { type: 'phrase', value: token.value, field };
+      case 'word':
+        return { type: 'term', value: token.value, field };
+      default:
+        throw new Error(`Unexpected ${describe(token)}`);
+    }
+  };
+  
+  const tree = parseOr(null);
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${describe(tokens[position])}`);
+  }
+  
+  return tree;
+}
+
+/**
+ * Collect the terms of a query tree that a match contributes to (excluded clauses are skipped)
+ */
+function collectPositiveTerms(node, terms = []) {
+  switch (node.type) {
+    case 'match':
+      terms.push(...node.terms);
+      break;
+    case 'term':
+    case 'phrase':
+      terms.push(node.value);
+      break;
+    case 'and':
+    case 'or':
+      node.children.forEach(child => collectPositiveTerms(child, terms));
+      break;
+  }
+  return terms;
+}
+
+/**
+ * Build the query that documents are matched against
+ * A searchValue becomes a match node: with operator "and" every term must match,
+ * with "or" at least minimumShouldMatch terms (default 1). A q query string is
+ * parsed into a tree of and/or/not/term/phrase nodes instead.
+ */
+function buildSearchQuery(searchValue, { operator, minimumShouldMatch, queryString, searchFields = config.searchableFields, language = config.defaultLanguage, stopwords = null, synonyms = null, matchOptions = getDefaultMatchOptions() } = {}) {
+  const ignoredTerms = [];
+  const expandedSynonyms = {};
+  
+  if (queryString) {
+    const parsedTree = parseQueryString(queryString, searchFields);
+    const filteredTree = stopwords ? removeStopwordTerms(parsedTree, stopwords, ignoredTerms) : parsedTree;
+    // A query made only of stopwords is searched as written
+    const searchTree = filteredTree || parsedTree;
+    const tree = synonyms ? expandSynonymNodes(searchTree, synonyms, expandedSynonyms) : searchTree;
+    return {
+      text: queryString,
+      tree,
+      terms: [...new Set(collectPositiveTerms(tree))],
+      operator: null,
+      requiredMatches: null,
+      language,
+      stopwords,
+      ignoredTerms: filteredTree ? [...new Set(ignoredTerms)] : [],
+      synonyms: expandedSynonyms,
+      matchOptions
+    };
+  }
+  
+  let terms = splitQueryTerms(searchValue, matchOptions.matchMode === 'wildcard');
+  
+  // Values without letters or numbers (e.g. "#") are matched as a whole
+  if (terms.length === 0) {
+    terms = [searchValue.trim()];
+  }
+  
+  // Stopwords are ignored unless the query consists of nothing else
+  if (stopwords) {
+    const keptTerms = terms.filter(term => !stopwords.has(normalizeText(term)));
+    if (keptTerms.length > 0) {
+      ignoredTerms.push(...terms.filter(term => stopwords.has(normalizeText(term))));
+      terms = keptTerms;
+    }
+  }
+  
+  // Each term also matches through its synonyms, which count as the same term
+  if (synonyms) {
+    for (const term of terms) {
+      const alternatives = synonyms.get(normalizeSynonymText(term));
+      if (alternatives) {
+        expandedSynonyms[term] = alternatives;
+      }
+    }
+  }
+  
+  const normalizedOperator = operator ? operator.toLowerCase() : 'and';
+  const requiredMatches = normalizedOperator === 'and' ?
+    terms.length :
+    resolveMinimumShouldMatch(minimumShouldMatch, terms.length);
+  
+  return {
+    text: searchValue,
+    tree: { type: 'match', terms, requiredMatches, synonyms: expandedSynonyms },
+    terms,
+    operator: normalizedOperator,
+    requiredMatches,
+    language,
+    stopwords,
+    ignoredTerms,
+    synonyms: expandedSynonyms,
+    matchOptions
+  };
+}
+
+/**
+ * Replace term and phrase nodes that have synonyms with an "or" of the node and
+ * its synonyms (multi-word synonyms become phrases), recording them in expandedSynonyms
+ */
+function expandSynonymNodes(node, synonyms, expandedSynonyms) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase': {
+      const alternatives = synonyms.get(normalizeSynonymText(node.value));
+      if (!alternatives) return node;
+      expandedSynonyms[node.value] = alternatives;
+      return {
+        type: 'or',
+        children: [node, ...alternatives.map(alternative => ({
+          type: alternative.includes(' ') ? 'phrase' : 'term',
+          value: alternative,
+          field: node.field
+        }))]
+      };
+    }
+    case 'and':
+    case 'or':
+      return { ...node, children: node.children.map(child => expandSynonymNodes(child, synonyms, expandedSynonyms)) };
+    case 'not':
+      return { ...node, child: expandSynonymNodes(node.child, synonyms, expandedSynonyms) };
+    default:
+      return node;
+  }
+}
+
+/**
+ * Drop term nodes that are stopwords from a query tree, collecting them in ignoredTerms
+ * Phrases are kept as written. Returns null when nothing but stopwords remains.
+ */
+function removeStopwordTerms(node, stopwords, ignoredTerms) {
+  switch (node.type) {
+    case 'term': {
+      const words = tokenizeText(node.value);
+      if (words.length > 0 && words.every(word => stopwords.has(word))) {
+        ignoredTerms.push(node.value);
+        return null;
+      }
+      return node;
     }
+    case 'and':
+    case 'or': {
+      const children = node.children
+        .map(child => removeStopwordTerms(child, stopwords, ignoredTerms))
+        .filter(child => child !== null);
+      if (children.length === 0) return null;
+      return children.length === 1 ? children[0] : { ...node, children };
+    }
+    case 'not': {
+      const child = removeStopwordTerms(node.child, stopwords, ignoredTerms);
+      return child === null ? null : { ...node, child };
+    }
+    default:
+      return node;
+  }
+}
+
+/**
+ * Find the first searchable field of a document that matches a single query term
+ * Array elements are matched one by one; returns { field, index, value } where
+ * index is the position of the matching element (null for non-array fields)
+ */
+function findMatchingField(docId, data, searchFields, term, caseSensitive, logDebug = false, language = null, matchOptions = getDefaultMatchOptions()) {
+  for (const field of searchFields) {
+    const elements = getFieldPathElements(data, field);
     
-    if (snapshot.empty) {
-      console.log('No documents found in collection');
-      return [];
+    if (elements.length === 0) {
+      // Debug logging for missing fields
+      if (logDebug) {
+        console.log(`⚠️  Field "${field}" is null/undefined in doc ${docId}`);
+      }
+      continue;
     }
     
-    const startTime = Date.now();
+    for (const { path, index, value } of elements) {
+      const stringValue = String(value);
+      const elementLabel = index === null ? path : `${path}[${index}]`;
+      
+      // Debug logging for first few documents
+      if (logDebug) {
+        console.log(`Checking doc ${docId}: field "${elementLabel}" = "${stringValue}" against term "${term}"`);
+      }
+      
+      // Use fuzzy matching if enabled, otherwise fall back to exact matching;
+      // with a language the stems are compared as well
+      const fieldMatchOptions = getFieldMatchOptions(field, matchOptions);
+      if (fuzzyMatch(term, stringValue, caseSensitive, getFieldTokenizer(field) !== 'cjk', fieldMatchOptions) || (!caseSensitive && fieldMatchOptions.matchMode !== 'wildcard' && stemmedMatch(term, stringValue, language, fieldMatchOptions))) {
+        if (logDebug) {
+          console.log(`✅ Match found in doc ${docId} for field "${elementLabel}"`);
+        }
+        return { field: path, index, value: stringValue };
+      }
+    }
+  }
+  
+  return null;
+}
 
-    let matchCount = 0;
+/**
+ * List the scalar values of a field value with their array position, so array
+ * elements are matched independently instead of as one joined string
+ * Nested arrays keep the position of their top-level element; maps are skipped
+ */
+function getFieldElements(fieldValue) {
+  if (fieldValue === null || fieldValue === undefined) {
+    return [];
+  }
+  
+  if (Array.isArray(fieldValue)) {
+    return fieldValue.flatMap((element, index) =>
+      getFieldElements(element).map(({ value }) => ({ index, value })));
+  }
+  
+  if (typeof fieldValue === 'object') {
+    return [];
+  }
+  
+  return [{ index: null, value: fieldValue }];
+}
 
-    snapshot.forEach((doc) => {
-      if (matchCount >= limit) return;
+/**
+ * List the scalar values of a searchable field with the concrete path each one was
+ * read from, so wildcard fields ("title.*") report e.g. "title.fr" when they match
+ */
+function getFieldPathElements(data, field) {
+  return resolveFieldPaths(data, field).flatMap(path =>
+    getFieldElements(getNestedFieldValue(data, path)).map(element => ({ path, ...element })));
+}
 
-      const data = doc.data();
-      let isMatch = false;
+/**
+ * Match a term against a field value after stemming both, so inflections match
+ * ("running shoes" finds "run shoe"); fuzzy tolerance then applies to the stems
+ */
+function stemmedMatch(term, fieldValue, language, matchOptions = getDefaultMatchOptions()) {
+  if (!getStemmer(language)) {
+    return false;
+  }
+  
+  const termStems = tokenizeText(term, language);
+  if (termStems.length === 0) {
+    return false;
+  }
+  
+  const fieldStems = tokenizeText(getSearchableText(fieldValue), language).join(' ');
+  return termStems.every(stem => fuzzyMatch(stem, fieldStems, false, true, matchOptions));
+}
 
-      // Check if any of the searchable fields contain the search value
-      for (const field of searchFields) {
-        const fieldValue = getNestedFieldValue(data, field);
-        
-        if (fieldValue !== null && fieldValue !== undefined) {
-          const stringValue = String(fieldValue);
-          
-          // Debug logging for first few documents
-          if (matchCount < 3) {
-            console.log(`Checking doc ${doc.id}: field "${field}" = "${stringValue}" against search "${searchValue}"`);
-          }
-          
-          // Use fuzzy matching if enabled, otherwise fall back to exact matching
-          if (fuzzyMatch(searchValue, stringValue, caseSensitive)) {
-            isMatch = true;
-            if (matchCount < 3) {
-              console.log(`✅ Match found in doc ${doc.id} for field "${field}"`);
-            }
-            break;
-          }
-        } else {
-          // Debug logging for missing fields
-          if (matchCount < 3) {
-            console.log(`⚠️  Field "${field}" is null/undefined in doc ${doc.id}`);
-          }
+/**
+ * Check whether a phrase appears as consecutive words in any of the given fields
+ * (within a single array element); returns the match like findMatchingField or null
+ */
+function phraseMatchesDocument(data, fields, phrase, caseSensitive, language = null) {
+  const normalize = (text) => {
+    if (!caseSensitive && getStemmer(language)) {
+      return tokenizeText(text, language);
+    }
+    const words = String(text).split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 0);
+    return words
+      .map(word => normalizeText(word, caseSensitive))
+      .flatMap(word => containsCjk(word) ?
+        word.match(CJK_RUN_PATTERN).flatMap(run => containsCjk(run) ? toBigrams(run) : [run]) :
+        [word]);
+  };
+  
+  const phraseWords = normalize(phrase);
+  if (phraseWords.length === 0) {
+    return null;
+  }
+  
+  for (const field of fields) {
+    for (const { path, index, value } of getFieldPathElements(data, field)) {
+      const fieldWords = normalize(String(value));
+      for (let i = 0; i + phraseWords.length <= fieldWords.length; i++) {
+        if (phraseWords.every((word, j) => fieldWords[i + j] === word)) {
+          return { field: path, index, value: String(value) };
         }
       }
+    }
+  }
+  
+  return null;
+}
 
-      if (isMatch) {
-        let resultDoc = { id: doc.id };
+/**
+ * Evaluate a query tree node against a document
+ * When a matches array is given, the term matches that make the node true are appended to it
+ */
+function evaluateQueryNode(node, docId, data, searchFields, caseSensitive, logDebug = false, language = null, matches = null, matchOptions = getDefaultMatchOptions()) {
+  const fields = node.field ? [node.field] : searchFields;
+  // The matched element's value is only reported for fields that results return
+  const recordMatch = (term, match) => {
+    if (match && matches) {
+      if (match.index === null) {
+        matches.push({ term, field: match.field });
+      } else if (isReturnedField(match.field)) {
+        matches.push({ term, field: match.field, index: match.index, value: match.value });
+      } else {
+        matches.push({ term, field: match.field, index: match.index });
+      }
+    }
+    return match !== null;
+  };
+  
+  switch (node.type) {
+    case 'match': {
+      // A term also matches through any of its synonyms
+      const findTermMatch = (term) => {
+        const match = findMatchingField(docId, data, fields, term, caseSensitive, logDebug, language, matchOptions);
+        if (match) return match;
+        for (const alternative of (node.synonyms && node.synonyms[term]) || []) {
+          const alternativeMatch = alternative.includes(' ') ?
+            phraseMatchesDocument(data, fields, alternative, caseSensitive, language) :
+            findMatchingField(docId, data, fields, alternative, caseSensitive, logDebug, language, matchOptions);
+          if (alternativeMatch) return alternativeMatch;
+        }
+        return null;
+      };
+      const termMatches = [];
+      let matchedTerms = 0;
+      
+      for (let i = 0; i < node.terms.length; i++) {
+        const match = findTermMatch(node.terms[i]);
+        if (match) {
+          termMatches.push([node.terms[i], match]);
+          matchedTerms++;
+        }
         
-        // If returnFields is specified, only include those fields
-        if (returnFields && returnFields.length > 0) {
-          for (const field of returnFields) {
-            const fieldValue = getNestedFieldValue(data, field);
-            setNestedFieldValue(resultDoc, field, fieldValue);
-          }
-        } else {
-          // Return all fields
-          resultDoc = { id: doc.id, ...data };
+        if (matchedTerms >= node.requiredMatches) {
+          termMatches.forEach(([term, termMatch]) => recordMatch(term, termMatch));
+          return true;
         }
         
-        // Store the raw document for sorting before transformation
-        results.push({
-          rawDoc: resultDoc,
-          originalData: data
-        });
-        matchCount++;
+        // Stop early when the remaining terms can no longer reach the requirement
+        if (matchedTerms + (node.terms.length - i - 1) < node.requiredMatches) {
+          return false;
+        }
+      }
+      
+      return false;
+    }
+    case 'term':
+      return recordMatch(node.value, findMatchingField(docId, data, fields, node.value, caseSensitive, logDebug, language, matchOptions));
+    case 'phrase':
+      return recordMatch(node.value, phraseMatchesDocument(data, fields, node.value, caseSensitive, language));
+    case 'and': {
+      // Matches of the children only count once every child matched
+      const childMatches = matches ? [] : null;
+      if (!node.children.every(child => evaluateQueryNode(child, docId, data, searchFields, caseSensitive, logDebug, language, childMatches, matchOptions))) {
+        return false;
+      }
+      if (matches) matches.push(...childMatches);
+      return true;
+    }
+    case 'or':
+      return node.children.some(child => evaluateQueryNode(child, docId, data, searchFields, caseSensitive, logDebug, language, matches, matchOptions));
+    case 'not':
+      return !evaluateQueryNode(node.child, docId, data, searchFields, caseSensitive, logDebug, language, null, matchOptions);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a document matches the search query across its searchable fields
+ */
+function documentMatchesSearch(docId, data, searchFields, searchQuery, caseSensitive, logDebug = false, matches = null) {
+  return evaluateQueryNode(searchQuery.tree, docId, data, searchFields, caseSensitive, logDebug, searchQuery.language, matches, searchQuery.matchOptions);
+}
+
+/**
+ * Build the result document for a match, applying returnFields when specified
+ */
+function buildResultDoc(docId, data, returnFields) {
+  // If returnFields is specified, only include those fields
+  if (returnFields && returnFields.length > 0) {
+    const resultDoc = { id: docId };
+    for (const field of returnFields) {
+      // Wildcard fields return every concrete path they match in this document
+      for (const path of resolveFieldPaths(data, field)) {
+        setNestedFieldValue(resultDoc, path, getNestedFieldValue(data, path));
+      }
+    }
+    return resultDoc;
+  }
+  
+  // Return all fields, except the shadow fields maintained for range queries
+  if (config.enableShadowFields) {
+    const { [SHADOW_FIELDS_KEY]: shadowFields, ...fields } = data;
+    return { id: docId, ...fields };
+  }
+  return { id: docId, ...data };
+}
+
+/**
+ * Sort raw search results in memory (before transformation)
+ */
+function sortSearchResults(results, sortBy, direction) {
+  const sortDirection = direction && ['desc', 'descending'].includes(direction.toLowerCase()) ? -1 : 1;
+  
+  results.sort((a, b) => {
+    const valueA = getNestedFieldValue(a.originalData, sortBy);
+    const valueB = getNestedFieldValue(b.originalData, sortBy);
+    
+    // Handle null/undefined values - put them at the end
+    if (valueA === null || valueA === undefined) {
+      if (valueB === null || valueB === undefined) return compareResultIds(a, b);
+      return 1; // Put nulls at the end regardless of sort direction
+    }
+    if (valueB === null || valueB === undefined) {
+      return -1; // Put nulls at the end regardless of sort direction
+    }
+    
+    // Convert to strings for comparison if they're not numbers or dates
+    let compareA = valueA;
+    let compareB = valueB;
+    
+    // Handle different data types
+    if (typeof valueA === 'string' && typeof valueB === 'string') {
+      // String comparison (case-insensitive, trimmed, folded when enabled)
+      compareA = normalizeText(valueA.trim());
+      compareB = normalizeText(valueB.trim());
+    } else if (typeof valueA === 'number' && typeof valueB === 'number') {
+      // Numeric comparison - use as is
+    } else if (valueA instanceof Date && valueB instanceof Date) {
+      // Date comparison - use as is
+    } else {
+      // Mixed types - convert to strings (case-insensitive, trimmed)
+      compareA = normalizeText(String(valueA).trim());
+      compareB = normalizeText(String(valueB).trim());
+    }
+    
+    if (compareA < compareB) return -1 * sortDirection;
+    if (compareA > compareB) return 1 * sortDirection;
+    return compareResultIds(a, b);
+  });
+  
+  return results;
+}
+
+/**
+ * Break sort ties by document ID so pages keep a stable order
+ */
+function compareResultIds(a, b) {
+  if (a.id < b.id) return -1;
+  if (a.id > b.id) return 1;
+  return 0;
+}
+
+/**
+ * Rate how well a document token matches a query term
+ * Returns 1 for an exact match, a reduced weight for prefix, fuzzy, phonetic and substring
+ * matches (fewer typos weigh more) and 0 when the token does not match in the match mode.
+ * Every token matching a wildcard pattern weighs 1
+ */
+function termMatchQuality(queryTerm, token, matchOptions = getDefaultMatchOptions()) {
+  const { matchMode } = matchOptions;
+  if (matchMode === 'wildcard') {
+    return wildcardMatch(queryTerm, token) ? 1 : 0;
+  }
+  
+  if (token === queryTerm) {
+    return 1;
+  }
+  
+  if (matchMode === 'exact') {
+    return 0;
+  }
+  
+  if (token.startsWith(queryTerm)) {
+    return SCORE_PREFIX_FACTOR;
+  }
+  
+  if (matchMode === 'prefix') {
+    return 0;
+  }
+  
+  const maxTypos = TYPO_MATCH_MODES.includes(matchMode) ? getMaxTypos(queryTerm.length, matchOptions.fuzziness) : 0;
+  if (maxTypos > 0 && Math.abs(token.length - queryTerm.length) <= maxTypos &&
+      token.startsWith(queryTerm.slice(0, matchOptions.prefixLength))) {
+    const distance = damerauLevenshteinDistance(queryTerm, token);
+    if (distance <= maxTypos) {
+      return SCORE_FUZZY_FACTOR * (1 - distance / (maxTypos + 1));
+    }
+  }
+  
+  if (matchMode === 'phonetic' && phoneticMatch(queryTerm, token)) {
+    return SCORE_PHONETIC_FACTOR;
+  }
+  
+  if (token.includes(queryTerm)) {
+    return SCORE_SUBSTRING_FACTOR;
+  }
+  
+  return 0;
+}
+
+/**
+ * BM25 inverse document frequency
+ */
+function bm25Idf(totalDocs, docFrequency) {
+  return Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+}
+
+/**
+ * BM25 weight of a term frequency in a field, normalized by the field's length
+ */
+function bm25TermWeight(termFrequency, fieldLength, avgLength) {
+  const lengthNorm = 1 - BM25_B + BM25_B * (fieldLength / avgLength);
+  return (termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * lengthNorm);
+}
+
+/**
+ * Score a document against the query terms using BM25 over each searchable field
+ * Term frequency is weighted by match quality so exact matches outrank typos,
+ * and each field's contribution is multiplied by its boost
+ */
+function scoreDocument(fieldTokens, queryTerms, rankingStats, fieldBoosts = {}, matchOptions = getDefaultMatchOptions()) {
+  let score = 0;
+  
+  for (const queryTerm of queryTerms) {
+    const idf = bm25Idf(rankingStats.totalDocs, rankingStats.docFrequencies[queryTerm] || 0);
+    
+    for (const [field, tokens] of Object.entries(fieldTokens)) {
+      const fieldMatchOptions = getFieldMatchOptions(field, matchOptions);
+      let termFrequency = 0;
+      for (const token of tokens) {
+        termFrequency += termMatchQuality(queryTerm, token, fieldMatchOptions);
+      }
+      if (termFrequency === 0) continue;
+      
+      const avgLength = rankingStats.avgFieldLengths[field] || tokens.length || 1;
+      const boost = fieldBoosts[field] || 1;
+      score += boost * idf * bm25TermWeight(termFrequency, tokens.length, avgLength);
+    }
+  }
+  
+  return score;
+}
+
+/**
+ * Compute the relevance score of every raw search result and expose it as _score
+ * Index statistics are used when available, otherwise document frequencies and
+ * field lengths are estimated from the documents that were scanned
+ */
+function scoreSearchResults(results, searchQuery, searchFields, indexStats, documentsScanned, fieldBoosts) {
+  const scoredTerms = [...searchQuery.terms, ...Object.values(searchQuery.synonyms || {}).flat()];
+  const queryTerms = [...new Set(scoredTerms.flatMap(term => getQueryTokenVariants(term, searchQuery, searchFields).flat()))];
+  
+  const tokenizedResults = results.map(item => {
+    const fieldTokens = {};
+    for (const field of searchFields) {
+      fieldTokens[field] = tokenizeText(
+        getSearchableText(getNestedFieldValue(item.originalData, field)),
+        searchQuery.language,
+        searchQuery.stopwords,
+        { tokenizer: getFieldTokenizer(field) }
+      );
+    }
+    return fieldTokens;
+  });
+  
+  let rankingStats = indexStats;
+  if (!rankingStats || !(rankingStats.totalDocs > 0)) {
+    const docFrequencies = {};
+    const avgFieldLengths = {};
+    
+    for (const queryTerm of queryTerms) {
+      docFrequencies[queryTerm] = tokenizedResults.filter(fieldTokens =>
+        Object.entries(fieldTokens).some(([field, tokens]) => {
+          const fieldMatchOptions = getFieldMatchOptions(field, searchQuery.matchOptions);
+          return tokens.some(token => termMatchQuality(queryTerm, token, fieldMatchOptions) > 0);
+        })
+      ).length;
+    }
+    for (const field of searchFields) {
+      const totalLength = tokenizedResults.reduce((sum, fieldTokens) => sum + fieldTokens[field].length, 0);
+      avgFieldLengths[field] = tokenizedResults.length > 0 ? totalLength / tokenizedResults.length : 0;
+    }
+    
+    rankingStats = {
+      totalDocs: Math.max(documentsScanned, results.length),
+      docFrequencies,
+      avgFieldLengths
+    };
+  }
+  
+  results.forEach((item, i) => {
+    item.score = scoreDocument(tokenizedResults[i], queryTerms, rankingStats, fieldBoosts, searchQuery.matchOptions);
+    item.rawDoc[SCORE_SORT_FIELD] = Math.round(item.score * 10000) / 10000;
+  });
+  
+  return results;
+}
+
+/**
+ * Score index candidates from their postings, so ranking does not read the documents
+ * Each posting's frequency per field is already weighted by how well its index term matches
+ * the query term. Postings written before they stored field lengths use the average length
+ */
+function scoreIndexCandidates(candidates, fieldBoosts = {}) {
+  const { termPostings, docFieldLengths, stats } = candidates;
+  const scores = new Map();
+  
+  for (const [queryTerm, postings] of termPostings) {
+    const idf = bm25Idf(stats.totalDocs, stats.docFrequencies[queryTerm] || 0);
+    
+    for (const [docId, fieldFrequencies] of postings) {
+      const fieldLengths = docFieldLengths.get(docId) || {};
+      let score = scores.get(docId) || 0;
+      for (const [field, termFrequency] of Object.entries(fieldFrequencies)) {
+        if (termFrequency === 0) continue;
+        
+        const avgLength = stats.avgFieldLengths[field] || fieldLengths[field] || 1;
+        const fieldLength = fieldLengths[field] !== undefined ? fieldLengths[field] : avgLength;
+        score += (fieldBoosts[field] || 1) * idf * bm25TermWeight(termFrequency, fieldLength, avgLength);
+      }
+      scores.set(docId, score);
+    }
+  }
+  
+  return scores;
+}
+
+/**
+ * Parse a filter value from the GET syntax
+ * Numbers, booleans and null are converted; wrap a value in double quotes to keep it a string
+ */
+function parseFilterValue(rawValue) {
+  const value = rawValue.trim();
+  
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value === 'null') {
+    return null;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  
+  return value;
+}
+
+/**
+ * Parse structured filters from a request
+ * - POST: filters as a JSON array of { field, op, value }
+ * - GET: repeated filter=field:op:value (in takes comma-separated values)
+ * Only exposed fields (see isExposedField) can be filtered on
+ * Throws an Error describing the first invalid filter
+ */
+function parseFilterParameters({ filters, filter }) {
+  const parsed = [];
+  
+  if (filters !== undefined && filters !== null && filters !== '') {
+    let filterList = filters;
+    if (typeof filterList === 'string') {
+      try {
+        filterList = JSON.parse(filterList);
+      } catch (error) {
+        throw new Error('filters must be a JSON array of { field, op, value } objects');
+      }
+    }
+    if (!Array.isArray(filterList)) {
+      throw new Error('filters must be an array of { field, op, value } objects');
+    }
+    for (const item of filterList) {
+      if (!item || typeof item !== 'object') {
+        throw new Error('filters must be an array of { field, op, value } objects');
+      }
+      parsed.push({ field: item.field, op: item.op, value: item.value });
+    }
+  }
+  
+  if (filter !== undefined && filter !== null && filter !== '') {
+    const filterStrings = Array.isArray(filter) ? filter : [filter];
+    for (const filterString of filterStrings) {
+      const match = typeof filterString === 'string' && filterString.match(/^([^:]+):([^:]+):(.*)$/);
+      if (!match) {
+        throw new Error(`Invalid filter '${filterString}'. Use field:op:value, e.g. price:<:1500`);
+      }
+      const [, field, op, rawValue] = match;
+      const value = op === 'in' ?
+        rawValue.split(',').map(parseFilterValue) :
+        parseFilterValue(rawValue);
+      parsed.push({ field: field.trim(), op: op.trim(), value });
+    }
+  }
+  
+  if (parsed.length > MAX_FILTERS) {
+    throw new Error(`At most ${MAX_FILTERS} filters are allowed`);
+  }
+  
+  for (const { field, op, value } of parsed) {
+    if (typeof field !== 'string' || !/^[a-zA-Z0-9_.]+$/.test(field)) {
+      throw new Error(`Invalid filter field '${field}'. Field names must contain only alphanumeric characters, dots, and underscores`);
+    }
+    if (!isExposedField(field)) {
+      throw new Error(`Invalid filter field '${field}'. Filters can use the returned fields: ${getExposedFields().join(', ')}`);
+    }
+    if (!FILTER_OPERATORS.includes(op)) {
+      throw new Error(`Invalid filter operator '${op}' for field '${field}'. Supported operators: ${FILTER_OPERATORS.join(', ')}`);
+    }
+    if (value === undefined) {
+      throw new Error(`Filter on '${field}' requires a value`);
+    }
+    if (op === 'in' && (!Array.isArray(value) || value.length === 0 || value.length > FIRESTORE_MAX_DISJUNCTIONS)) {
+      throw new Error(`Filter '${field} in' requires between 1 and ${FIRESTORE_MAX_DISJUNCTIONS} values`);
+    }
+    if (op !== 'in' && Array.isArray(value)) {
+      throw new Error(`Filter '${field} ${op}' does not accept a list of values`);
+    }
+  }
+  
+  return parsed;
+}
+
+/**
+ * Parse a "lat,lng" pair (or [lat, lng]) into coordinates
+ */
+function parseGeoCoordinates(value, name) {
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  const [latitude, longitude] = parts.map(part => Number(String(part).trim()));
+  if (parts.length !== 2 || !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error(`${name} must be "lat,lng" with latitude between -90 and 90 and longitude between -180 and 180`);
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Parse the geo search parameters
+ * near=lat,lng (with an optional radius like 5km, 500m, 2mi or a number of meters)
+ * and bbox=minLat,minLng,maxLat,maxLng; returns null when none is given
+ */
+function parseGeoParameters({ near, radius, bbox, geoField } = {}) {
+  const isSet = value => value !== undefined && value !== null && value !== '';
+  if (!isSet(near) && !isSet(radius) && !isSet(bbox)) {
+    return null;
+  }
+  
+  if (config.geoFields.length === 0) {
+    throw new Error('Geo search requires GEO_FIELDS to be configured');
+  }
+  
+  const field = isSet(geoField) ? String(geoField) : config.geoFields[0];
+  if (!config.geoFields.includes(field)) {
+    throw new Error(`geoField '${field}' is not a geo field. Geo fields: ${config.geoFields.join(', ')}`);
+  }
+  
+  const geo = { field, near: null, radius: null, bbox: null };
+  
+  if (isSet(near)) {
+    geo.near = parseGeoCoordinates(near, 'near');
+  }
+  
+  if (isSet(radius)) {
+    if (!geo.near) {
+      throw new Error('radius requires near=lat,lng');
+    }
+    const match = String(radius).trim().match(/^(\d+(?:\.\d+)?)\s*(m|km|mi|ft)?$/i);
+    if (!match || !(Number(match[1]) > 0)) {
+      throw new Error('radius must be a positive distance, e.g. 500m, 5km or 2mi');
+    }
+    geo.radius = Number(match[1]) * GEO_DISTANCE_UNITS[(match[2] || 'm').toLowerCase()];
+  }
+  
+  if (isSet(bbox)) {
+    const parts = Array.isArray(bbox) ? bbox : String(bbox).split(',');
+    if (parts.length !== 4) {
+      throw new Error('bbox must be "minLat,minLng,maxLat,maxLng"');
+    }
+    const southWest = parseGeoCoordinates(parts.slice(0, 2), 'bbox');
+    const northEast = parseGeoCoordinates(parts.slice(2), 'bbox');
+    if (southWest.latitude > northEast.latitude) {
+      throw new Error('bbox minLat must not be greater than maxLat');
+    }
+    // minLng greater than maxLng describes a box crossing the antimeridian
+    geo.bbox = {
+      minLat: southWest.latitude,
+      minLng: southWest.longitude,
+      maxLat: northEast.latitude,
+      maxLng: northEast.longitude
+    };
+  }
+  
+  return geo;
+}
+
+/**
+ * Apply structured filters to a Firestore query as where clauses
+ */
+function applyFilters(query, filters) {
+  return filters.reduce((filteredQuery, { field, op, value }) => filteredQuery.where(field, op, value), query);
+}
+
+/**
+ * Number of candidate IDs that fit in one filtered query
+ * Firestore limits the disjunctions of a query, which in filters multiply
+ */
+function getFilteredFetchBatchSize(filters) {
+  const disjunctions = filters
+    .filter(({ op }) => op === 'in')
+    .reduce((product, { value }) => product * value.length, 1);
+  
+  return Math.max(1, Math.floor(FIRESTORE_MAX_DISJUNCTIONS / disjunctions));
+}
+
+/**
+ * Count how many of the given documents pass the filters using count() aggregations
+ * Returns null when that would take more than TOTAL_HITS_MAX_COUNT_QUERIES queries
+ */
+async function countFilteredDocuments(collectionRef, docIds, filters) {
+  const batchSize = getFilteredFetchBatchSize(filters);
+  if (Math.ceil(docIds.length / batchSize) > TOTAL_HITS_MAX_COUNT_QUERIES) {
+    return null;
+  }
+  
+  const counts = [];
+  for (let i = 0; i < docIds.length; i += batchSize) {
+    const query = applyFilters(
+      collectionRef.where(FieldPath.documentId(), 'in', docIds.slice(i, i + batchSize)),
+      filters
+    );
+    counts.push(query.count().get().then(snapshot => snapshot.data().count));
+  }
+  
+  return (await Promise.all(counts)).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Fields whose values a request may see: DEFAULT_RETURN_FIELDS, or the searchable fields
+ * when no return fields are configured
+ */
+function getExposedFields() {
+  return config.defaultReturnFields.length > 0 ? config.defaultReturnFields : config.searchableFields;
+}
+
+/**
+ * Check whether a field path is one of the given field patterns or lies below one
+ * ("meta.brand" below "meta", "title.fr" below "title.*", "items[].name" below "items")
+ */
+function isFieldCoveredBy(field, patterns) {
+  const segments = field.replace(/\[\]/g, '').split('.');
+  return patterns.some(pattern => segments.some((segment, i) =>
+    fieldPathMatchesPattern(segments.slice(0, i + 1).join('.'), pattern.replace(/\[\]/g, ''))));
+}
+
+/**
+ * Check whether a field is exposed (see getExposedFields). Counting or comparing the values
+ * of other fields would reveal what results never return
+ */
+function isExposedField(field) {
+  return isFieldCoveredBy(field, getExposedFields());
+}
+
+/**
+ * Check whether results return a field: every field without DEFAULT_RETURN_FIELDS
+ */
+function isReturnedField(field) {
+  return config.defaultReturnFields.length === 0 || isFieldCoveredBy(field, config.defaultReturnFields);
+}
+
+/**
+ * Parse the facets parameter (comma-separated string or array of field names)
+ * Only exposed fields (see isExposedField) can be counted
+ */
+function parseFacetParameter(facets) {
+  if (facets === undefined || facets === null || facets === '') {
+    return [];
+  }
+  
+  const facetFields = parseFieldList(Array.isArray(facets) ? facets.join(',') : String(facets));
+  if (facetFields.length > MAX_FACETS) {
+    throw new Error(`At most ${MAX_FACETS} facets are allowed`);
+  }
+  
+  const hiddenField = facetFields.find(field => !isExposedField(field));
+  if (hiddenField) {
+    throw new Error(`'${hiddenField}' is not a returned field. Facets can use: ${getExposedFields().join(', ')}`);
+  }
+  
+  return [...new Set(facetFields)];
+}
+
+/**
+ * Round a range step to a readable value (1, 2 or 5 times a power of ten)
+ */
+function getNiceStep(roughStep) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+  const normalized = roughStep / magnitude;
+  const niceNormalized = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return niceNormalized * magnitude;
+}
+
+/**
+ * Build numeric range buckets ({ from, to, count }, from inclusive, to exclusive)
+ */
+function buildRangeBuckets(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  
+  if (min === max) {
+    return { min, max, buckets: [{ from: min, to: max, count: values.length }] };
+  }
+  
+  const step = getNiceStep((max - min) / FACET_RANGE_BUCKETS);
+  const start = Math.floor(min / step) * step;
+  const bucketCount = Math.floor((max - start) / step) + 1;
+  // Round bucket bounds so fractional steps don't accumulate float noise
+  const bound = (i) => Number((start + i * step).toPrecision(12));
+  const buckets = [];
+  for (let i = 0; i < bucketCount; i++) {
+    buckets.push({ from: bound(i), to: bound(i + 1), count: 0 });
+  }
+  
+  for (const value of values) {
+    const index = Math.min(Math.floor((value - start) / step + 1e-9), buckets.length - 1);
+    buckets[index].count++;
+  }
+  
+  return { min, max, buckets: buckets.filter(bucket => bucket.count > 0) };
+}
+
+/**
+ * Compute facet counts over all matched documents
+ * Number fields get range buckets; other values get value -> count buckets
+ * (array elements are counted individually)
+ */
+function computeFacets(results, facetFields) {
+  const facets = {};
+  
+  for (const field of facetFields) {
+    const values = [];
+    let missing = 0;
+    
+    for (const item of results) {
+      const fieldValue = getNestedFieldValue(item.originalData, field);
+      const fieldValues = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+      const primitives = fieldValues.filter(value =>
+        value !== null && value !== undefined && typeof value !== 'object'
+      );
+      
+      if (primitives.length === 0) {
+        missing++;
+      }
+      values.push(...primitives);
+    }
+    
+    if (values.length > 0 && values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+      facets[field] = { type: 'range', ...buildRangeBuckets(values), missing };
+      continue;
+    }
+    
+    const counts = new Map();
+    for (const value of values) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    
+    const buckets = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    const shownBuckets = buckets.slice(0, FACET_MAX_BUCKETS);
+    
+    facets[field] = {
+      type: 'terms',
+      buckets: shownBuckets,
+      otherCount: buckets.slice(FACET_MAX_BUCKETS).reduce((sum, bucket) => sum + bucket.count, 0),
+      missing
+    };
+  }
+  
+  return facets;
+}
+
+/**
+ * Perform the actual search operation
+ * matchInsideWords is set when a request explicitly asks for contains matching, which the
+ * word-prefix lookups of the search index cannot answer, so the collection is scanned
+ * Returns the transformed results together with the strategy that produced them
+ * and the position of the next page (null when there are no more matches)
+ */
+async function performSearch({
+  collection,
+  collectionGroup = false,
+  searchFields,
+  returnFields,
+  searchValue,
+  limit,
+  caseSensitive,
+  sortBy,
+  direction,
+  fieldBoosts = config.fieldBoosts,
+  operator,
+  minimumShouldMatch,
+  queryString,
+  filters = [],
+  facets = [],
+  pagePosition = null,
+  language = getCollectionLanguage(getCollectionId(collection)),
+  includeMatches = false,
+  geo = null,
+  matchOptions = getDefaultMatchOptions(),
+  matchInsideWords = false
+}) {
+  // A collection group covers every collection with this ID, at any depth. Subcollections
+  // (users/u1/orders) share the stopwords and synonyms of their collection ID
+  const collectionRef = collectionGroup ? db.collectionGroup(collection) : db.collection(collection);
+  const collectionId = getCollectionId(collection);
+  const isTopLevelCollection = !collectionGroup && collectionId === collection;
+  const stopwords = await getCollectionStopwords(collectionId, language);
+  const synonyms = await getCollectionSynonyms(collectionId);
+  const searchQuery = buildSearchQuery(searchValue, { operator, minimumShouldMatch, queryString, searchFields, language, stopwords, synonyms, matchOptions });
+  const results = [];
+  const hasSort = sortBy && sortBy.trim() !== '';
+  // Relevance and distance are computed in memory, every other sortBy is a document field
+  const sortByScore = sortBy === SCORE_SORT_FIELD;
+  const sortByDistance = sortBy === GEO_DISTANCE_FIELD;
+  const hasFieldSort = hasSort && !sortByScore && !sortByDistance;
+  // Relevance ranking, distance sorting and facet counts need every match, not just the first page
+  const collectAllMatches = sortByScore || sortByDistance || facets.length > 0;
+  // A radius or bounding box restricts the matches to an area
+  const geoArea = geo !== null && (geo.radius !== null || geo.bbox !== null);
+  // Pages after the first either skip the matches already returned (offset)
+  // or resume the collection scan after the last scanned document (cursor)
+  const pageOffset = pagePosition ? pagePosition.offset : 0;
+  const resumeAfter = pagePosition ? pagePosition.startAfter : null;
+  const matchesBefore = pagePosition ? pagePosition.matchesBefore : 0;
+  // One match beyond the page tells whether there is a next page
+  const matchesNeeded = pageOffset + limit + 1;
+  let indexStats = null;
+  // Relevance scores computed from the index postings, before any document is read
+  let indexScores = null;
+
+  try {
+    console.log(`Performing optimized search on ${collection} for "${searchQuery.text}" (terms: [${searchQuery.terms.join(', ')}], operator: ${searchQuery.operator}, required: ${searchQuery.requiredMatches})`);
+    console.log(`Search config: caseSensitive=${caseSensitive}, matchMode=${matchOptions.matchMode}, fuzziness=${matchOptions.fuzziness}, prefixLength=${matchOptions.prefixLength}, searchIndex=${config.enableSearchIndex}, language=${language}, fields=[${searchFields.join(', ')}]`);
+    
+    const startTime = Date.now();
+    let searchStrategy = null;
+    let documentsScanned = 0;
+    // Total hits are exact ('eq') when every potential match was accounted for,
+    // otherwise they are a lower bound ('gte')
+    let totalHits = 0;
+    let totalHitsRelation = 'gte';
+    
+    const collectMatch = (doc) => {
+      // Collection groups also include the index subcollections (terms, postings, documents)
+      if (isInternalCollectionPath(doc.ref.path)) {
+        return;
+      }
+      
+      const data = doc.data();
+      let distance = null;
+      if (geo) {
+        const point = getGeoPoint(getNestedFieldValue(data, geo.field));
+        if (!geoPointMatches(point, geo)) {
+          return;
+        }
+        distance = point && geo.near ? getGeoDistance(geo.near, point) : null;
+      }
+      
+      const matches = [];
+      if (documentMatchesSearch(doc.id, data, searchFields, searchQuery, caseSensitive, results.length < 3, matches)) {
+        const rawDoc = buildResultDoc(doc.id, data, returnFields);
+        if (includeMatches) {
+          rawDoc[MATCHES_FIELD] = matches;
+        }
+        if (geo && geo.near) {
+          rawDoc[GEO_DISTANCE_FIELD] = distance === null ? null : Math.round(distance * 10) / 10;
+        }
+        // Document IDs are only unique within their parent, so group results carry their paths
+        if (collectionGroup) {
+          const parentDoc = doc.ref.parent.parent;
+          rawDoc[PATH_FIELD] = doc.ref.path;
+          rawDoc[PARENT_PATH_FIELD] = parentDoc ? parentDoc.path : null;
+        }
+        // Store the raw document for sorting before transformation
+        results.push({
+          id: collectionGroup ? doc.ref.path : doc.id,
+          rawDoc,
+          originalData: data,
+          score: 0,
+          distance
+        });
+      }
+    };
+    
+    // Preferred strategy: resolve candidates from the inverted index, so the
+    // read cost depends on the number of matches instead of the collection size.
+    // A scan cursor from a previous page continues that scan instead. The index
+    // covers top-level collections only, so subcollections and collection groups are scanned,
+    // and collections are scanned until the backfill has indexed their existing documents
+    let useSearchIndex = config.enableSearchIndex && isTopLevelCollection && !resumeAfter && !matchInsideWords;
+    if (useSearchIndex && !(await isSearchIndexReady(collection))) {
+      console.log(`Search index of ${collection} is not backfilled yet, falling back to collection scan`);
+      useSearchIndex = false;
+    }
+    if (useSearchIndex) {
+      try {
+        const candidates = await findIndexCandidates(collection, searchQuery);
+        // Documents in the geohash cells covering the search area
+        const geoCandidateIds = geoArea ? await findGeoCandidates(collection, geo) : null;
+        let candidateIds = null;
+        
+        if (candidates !== null) {
+          searchStrategy = 'index';
+          indexStats = candidates.stats;
+          candidateIds = geoCandidateIds ?
+            candidates.docIds.filter(docId => geoCandidateIds.has(docId)) :
+            candidates.docIds;
+          
+          // Rank the candidates by their postings so only the documents of the page are read
+          if (sortByScore) {
+            indexScores = scoreIndexCandidates(candidates, fieldBoosts);
+            const sortDirection = direction && ['asc', 'ascending'].includes(direction.toLowerCase()) ? 1 : -1;
+            candidateIds = [...candidateIds].sort((a, b) =>
+              ((indexScores.get(a) || 0) - (indexScores.get(b) || 0)) * sortDirection || compareResultIds({ id: a }, { id: b }));
+          }
+        } else if (geoCandidateIds !== null) {
+          searchStrategy = 'geo-index';
+          candidateIds = [...geoCandidateIds];
+        }
+        
+        if (candidateIds !== null) {
+          // With filters, candidates are read through a filtered query so only
+          // documents passing the filters are read
+          const batchSize = filters.length > 0 ? getFilteredFetchBatchSize(filters) : SEARCH_INDEX_FETCH_BATCH_SIZE;
+          
+          // Without sorting, or with candidates ranked by their postings, we can stop as soon as
+          // enough candidates are verified; other sorts and facets have to consider every candidate
+          const checkAllCandidates = hasFieldSort || sortByDistance || facets.length > 0 || (sortByScore && !indexScores);
+          let candidatesChecked = 0;
+          while (candidatesChecked < candidateIds.length && (checkAllCandidates || results.length < matchesNeeded)) {
+            const batchLength = checkAllCandidates ? batchSize : Math.min(batchSize, matchesNeeded - results.length);
+            const batchIds = candidateIds.slice(candidatesChecked, candidatesChecked + batchLength);
+            candidatesChecked += batchIds.length;
+            let documents;
+            
+            if (filters.length > 0) {
+              const snapshot = await applyFilters(
+                collectionRef.where(FieldPath.documentId(), 'in', batchIds),
+                filters
+              ).get();
+              documents = snapshot.docs;
+            } else {
+              const snapshots = await db.getAll(...batchIds.map(docId => collectionRef.doc(docId)));
+              documents = snapshots.filter(doc => doc.exists);
+            }
+            
+            for (const doc of documents) {
+              documentsScanned++;
+              collectMatch(doc);
+            }
+          }
+          console.log(`Used ${searchStrategy === 'index' ? 'search index' : 'geo index'}, verified ${documentsScanned} of ${candidateIds.length} candidate documents`);
+          
+          // Candidates that were not read count as hits from their postings when the index
+          // resolves the query exactly; with filters, count() tells how many of them pass the filters.
+          // Otherwise verification could still reject them (and geohash cells reach beyond the
+          // search area), so only the verified matches are reported, as a lower bound
+          const uncheckedIds = candidateIds.slice(candidatesChecked);
+          let uncheckedHits = uncheckedIds.length;
+          if (uncheckedIds.length > 0 && (geoArea || searchStrategy !== 'index' || !isIndexResolvedExactly(searchQuery, caseSensitive))) {
+            uncheckedHits = null;
+          } else if (uncheckedIds.length > 0 && filters.length > 0) {
+            uncheckedHits = await countFilteredDocuments(collectionRef, uncheckedIds, filters);
+          }
+          totalHits = results.length + (uncheckedHits || 0);
+          totalHitsRelation = uncheckedHits === null ? 'gte' : 'eq';
+        }
+      } catch (error) {
+        console.log(`Search index lookup failed (${error.message}), falling back to collection scan`);
+        searchStrategy = null;
+        indexStats = null;
+        indexScores = null;
+        documentsScanned = 0;
+        results.length = 0;
+      }
+    }
+    
+    // For exact prefix matching (matchMode exact or prefix and a single search term that is long enough)
+    // Note: Range queries only work for exact case matches, so case-insensitive searches need the
+    // normalized shadow field of the primary field (a configured field without wildcards or arrays).
+    // Contains searches are not served here, since a range query only finds values starting with the term.
+    // Collection groups have no automatic single-field indexes to serve range queries
+    const prefixTerm = searchQuery.terms.length === 1 ? searchQuery.terms[0] : null;
+    const primaryField = searchFields[0];
+    const useShadowField = prefixTerm !== null && !caseSensitive && config.enableShadowFields && isTopLevelCollection &&
+      config.searchableFields.includes(primaryField) && !hasFieldWildcard(primaryField) &&
+      !primaryField.includes('[]') && prefixTerm.length <= SHADOW_FIELD_MAX_LENGTH;
+    if (!searchStrategy && !resumeAfter && !collectionGroup && prefixTerm !== null && ['exact', 'prefix'].includes(matchOptions.matchMode) && !searchFields.some(field => getFieldMatchOptions(field, matchOptions).matchMode === 'phonetic') && filters.length === 0 && !geo && searchQuery.tree.type === 'match' && !searchQuery.synonyms[prefixTerm] && prefixTerm.length >= 3 && (caseSensitive || useShadowField)) {
+      try {
+        // Try to use range query for the first searchable field
+        const rangeField = useShadowField ? `${SHADOW_FIELDS_KEY}.${primaryField}` : primaryField;
+        const startValue = useShadowField ? normalizeText(prefixTerm) : prefixTerm;
+        const endValue = startValue.slice(0, -1) + String.fromCharCode(startValue.charCodeAt(startValue.length - 1) + 1);
+        
+        let query = collectionRef
+          .where(rangeField, '>=', startValue)
+          .where(rangeField, '<', endValue);
+          
+        // Add sorting if specified (this will require a composite index)
+        if (hasFieldSort) {
+          const sortDirection = direction && ['desc', 'descending'].includes(direction.toLowerCase()) ? 'desc' : 'asc';
+          query = query.orderBy(sortBy, sortDirection);
+        }
+        
+        const snapshot = await query.limit(matchesNeeded * 2).get();
+        searchStrategy = 'range';
+        documentsScanned = snapshot.size;
+        console.log(`Used optimized range query on ${rangeField} (${useShadowField ? 'normalized' : 'case-sensitive'}), found ${snapshot.size} documents`);
+        
+        snapshot.forEach((doc) => {
+          if (!collectAllMatches && results.length >= matchesNeeded) return;
+          collectMatch(doc);
+        });
+        // Only the primary field is queried, so other fields may hold more matches
+        totalHits = results.length;
+        totalHitsRelation = 'gte';
+      } catch (error) {
+        console.log(`Range query failed (${error.message}), falling back to collection scan`);
+        results.length = 0;
+      }
+    }
+    
+    // If no results found and we used an optimized query, try a simple collection scan as fallback
+    if (searchStrategy === 'range' && results.length === 0) {
+      console.log('No results from optimized query, trying simple collection scan as fallback...');
+      
+      try {
+        const fallbackSnapshot = await collectionRef.limit(Math.min(matchesNeeded * 3, 100)).get();
+        console.log(`Fallback scan found ${fallbackSnapshot.size} documents to check`);
+        documentsScanned += fallbackSnapshot.size;
+        
+        fallbackSnapshot.forEach((doc) => {
+          if (!collectAllMatches && results.length >= matchesNeeded) return;
+          collectMatch(doc);
+        });
+        totalHits = results.length;
+        totalHitsRelation = fallbackSnapshot.size < Math.min(matchesNeeded * 3, 100) ? 'eq' : 'gte';
+        
+        if (results.length > 0) {
+          console.log(`✅ Fallback found ${results.length} results`);
+          searchStrategy = 'fallback-scan';
+        }
+      } catch (fallbackError) {
+        console.error('Fallback search failed:', fallbackError);
+      }
+    }
+    
+    // Fall back to limited collection scan if no optimized strategy was used or it failed
+    let scanCursor = null;
+    let scanExhausted = true;
+    if (!searchStrategy) {
+      // Filters narrow the scanned documents before the text match runs
+      let query = applyFilters(collectionRef, filters);
+      
+      // Add sorting if specified
+      if (hasFieldSort) {
+        const sortDirection = direction && ['desc', 'descending'].includes(direction.toLowerCase()) ? 'desc' : 'asc';
+        query = query.orderBy(sortBy, sortDirection);
+      }
+      
+      if (resumeAfter) {
+        query = query.startAfter(resumeAfter);
+      }
+      
+      // Limit the scan to a reasonable number to avoid timeouts
+      const scanLimit = Math.min(matchesNeeded * 5, 500);
+      const snapshot = await query.limit(scanLimit).get();
+      searchStrategy = 'scan';
+      documentsScanned = snapshot.size;
+      scanExhausted = snapshot.size < scanLimit;
+      console.log(`Used collection scan with sorting and ${filters.length} filter(s), found ${snapshot.size} documents to filter`);
+      
+      let stoppedEarly = false;
+      for (const doc of snapshot.docs) {
+        if (!collectAllMatches && results.length >= matchesNeeded) {
+          stoppedEarly = true;
+          break;
+        }
+        collectMatch(doc);
+        // The cursor stays on the last document consumed by this page
+        if (results.length < matchesNeeded) {
+          scanCursor = collectionGroup ? doc.ref.path : doc.id;
+        }
+      }
+      
+      // Cursor pages carry the number of matches returned before them
+      totalHits = matchesBefore + results.length;
+      totalHitsRelation = scanExhausted && !stoppedEarly ? 'eq' : 'gte';
+    }
+
+    // An unsorted scan pages with a Firestore cursor, so it can continue past
+    // the scanned documents; every other strategy pages through its matches
+    const pagesByCursor = searchStrategy === 'scan' && !collectAllMatches && pageOffset === 0;
+    const hasMoreMatches = results.length > pageOffset + limit;
+    if (pagesByCursor) {
+      // Keep the page to the documents before the cursor
+      results.length = Math.min(results.length, limit);
+    }
+
+    // Rank by relevance, or sort by field if sortBy is specified (before transformation)
+    if (sortByScore) {
+      if (indexScores) {
+        results.forEach((item) => {
+          item.score = indexScores.get(item.id) || 0;
+          item.rawDoc[SCORE_SORT_FIELD] = Math.round(item.score * 10000) / 10000;
+        });
+      } else {
+        scoreSearchResults(results, searchQuery, searchFields, indexStats, documentsScanned, fieldBoosts);
+      }
+      const sortDirection = direction && ['asc', 'ascending'].includes(direction.toLowerCase()) ? 1 : -1;
+      results.sort((a, b) => (a.score - b.score) * sortDirection || compareResultIds(a, b));
+    } else if (sortByDistance) {
+      // Nearest first by default; documents without a location go last
+      const sortDirection = direction && ['desc', 'descending'].includes(direction.toLowerCase()) ? -1 : 1;
+      results.sort((a, b) => {
+        if (a.distance === b.distance) return compareResultIds(a, b);
+        if (a.distance === null) return 1;
+        if (b.distance === null) return -1;
+        return (a.distance - b.distance) * sortDirection;
+      });
+    } else if (hasSort) {
+      sortSearchResults(results, sortBy, direction);
+    }
+
+    // Facet counts cover every match, before the results are limited
+    const facetCounts = facets.length > 0 ? computeFacets(results, facets) : null;
+
+    // Transform the sorted results to clean JSON
+    const transformedResults = results
+      .slice(pageOffset, pageOffset + limit)
+      .map(item => transformFirestoreData(item.rawDoc));
+    
+    let nextPosition = null;
+    if (pagesByCursor) {
+      if ((hasMoreMatches || !scanExhausted) && scanCursor) {
+        nextPosition = { cursor: scanCursor, matchesBefore: matchesBefore + results.length };
+      }
+    } else if (hasMoreMatches) {
+      nextPosition = { offset: pageOffset + limit };
+    }
+    
+    const processingTime = Date.now() - startTime;
+    console.log(`Search completed in ${processingTime}ms: ${transformedResults.length} results of ${totalHits} (${totalHitsRelation}) from ${documentsScanned} documents scanned (${searchStrategy})`);
+    
+    // Log performance warning if search took too long
+    if (processingTime > 1000) {
+      console.warn(`⚠️  Slow search detected (${processingTime}ms). Consider creating indexes for better performance.`);
+      console.warn(`   Recommended: Create composite index on [${searchFields[0]}, ${hasFieldSort ? sortBy : '__name__'}]`);
+    }
+
+    return {
+      results: transformedResults,
+      searchStrategy,
+      documentsScanned,
+      searchQuery,
+      facets: facetCounts,
+      nextPosition,
+      totalHits,
+      totalHitsRelation
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to search collection: ${error.message}`);
+  }
+}
+
+/**
+ * Transform Firestore data to clean JSON format
+ * - Converts Firestore timestamps to UTC strings
+ * - Converts Firestore references to document path strings
+ * - Ensures all primitive values are strings, numbers, or booleans
+ * - Keeps maps and arrays as-is
+ */
+function transformFirestoreData(data) {
+  if (data === null || data === undefined) {
+    return data;
+  }
+
+  // Handle Firestore Timestamp
+  if (data && typeof data === 'object' && data._seconds !== undefined && data._nanoseconds !== undefined) {
+    const timestamp = new Date(data._seconds * 1000 + data._nanoseconds / 1000000);
+    return timestamp.toISOString();
+  }
+
+  // Handle Firestore GeoPoint
+  if (data && typeof data === 'object' && data._latitude !== undefined && data._longitude !== undefined) {
+    return { latitude: data._latitude, longitude: data._longitude };
+  }
+
+  // Handle Firestore DocumentReference
+  if (data && typeof data === 'object' && data._path && data._path.segments) {
+    return data._path.segments.join('/');
+  }
+
+  // Handle Arrays
+  if (Array.isArray(data)) {
+    return data.map(item => transformFirestoreData(item));
+  }
+
+  // Handle Objects (Maps)
+  if (data && typeof data === 'object') {
+    const transformed = {};
+    for (const [key, value] of Object.entries(data)) {
+      transformed[key] = transformFirestoreData(value);
+    }
+    return transformed;
+  }
+
+  // Return primitive values as-is (strings, numbers, booleans)
+  return data;
+}
+
+/**
+ * Get nested field value using dot notation (e.g., "user.profile.name", or "items[].name" for arrays)
+ */
+function getNestedFieldValue(obj, fieldPath) {
+  // Wildcard paths ("title.*") read every concrete path they match
+  if (hasFieldWildcard(fieldPath)) {
+    const paths = resolveFieldPaths(obj, fieldPath);
+    return paths.length > 0 ? paths.map(path => getNestedFieldValue(obj, path)) : null;
+  }
+  
+  // "items[].name" reads name from every element of the items array
+  const arrayIndex = fieldPath.indexOf('[]');
+  if (arrayIndex !== -1) {
+    const items = getNestedFieldValue(obj, fieldPath.slice(0, arrayIndex));
+    const elementPath = fieldPath.slice(arrayIndex + 2).replace(/^\./, '');
+    if (!Array.isArray(items)) return null;
+    if (!elementPath) return items;
+    return items.map(item => item && typeof item === 'object' ? getNestedFieldValue(item, elementPath) : null);
+  }
+  
+  return fieldPath.split('.').reduce((current, key) => {
+    return current && current[key] !== undefined ? current[key] : null;
+  }, obj);
+}
+
+/**
+ * Check whether a field path contains a wildcard segment (* or **)
+ */
+function hasFieldWildcard(fieldPath) {
+  return fieldPath.split('.').some(segment => segment === '*' || segment === '**');
+}
+
+/**
+ * Check whether a value is a Firestore map (not an array, Timestamp, GeoPoint or reference)
+ */
+function isFieldMap(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Resolve a field path with wildcards into the concrete paths present in a document
+ * "*" matches one key of a map, "**" any number of nested keys (including none), so
+ * "attributes.**.value" finds attributes.value, attributes.color.value, ...
+ * Below an array ("items[].*") the keys of all elements are combined.
+ * Paths without wildcards are returned as they are.
+ */
+function resolveFieldPaths(obj, fieldPath) {
+  if (!hasFieldWildcard(fieldPath)) {
+    return [fieldPath];
+  }
+  
+  const paths = new Set();
+  const walk = (value, segments, prefix) => {
+    if (segments.length === 0) {
+      if (value !== undefined && prefix) paths.add(prefix);
+      return;
+    }
+    
+    const [segment, ...rest] = segments;
+    const childPath = (key) => prefix ? `${prefix}.${key}` : key;
+    
+    if (segment === '**') {
+      walk(value, rest, prefix);
+      if (isFieldMap(value)) {
+        Object.keys(value).forEach(key => walk(value[key], segments, childPath(key)));
+      }
+    } else if (segment === '*') {
+      if (isFieldMap(value)) {
+        Object.keys(value).forEach(key => walk(value[key], rest, childPath(key)));
+      }
+    } else if (segment.endsWith('[]')) {
+      const items = isFieldMap(value) ? value[segment.slice(0, -2)] : undefined;
+      if (Array.isArray(items)) {
+        items.forEach(item => walk(item, rest, childPath(segment)));
+      }
+    } else {
+      walk(isFieldMap(value) ? value[segment] : undefined, rest, childPath(segment));
+    }
+  };
+  
+  walk(obj, fieldPath.split('.'), '');
+  return [...paths];
+}
+
+/**
+ * Check whether a concrete field path is covered by a field pattern ("title.fr" by "title.*")
+ */
+function fieldPathMatchesPattern(fieldPath, pattern) {
+  const matchSegments = (pathSegments, patternSegments) => {
+    if (patternSegments.length === 0) {
+      return pathSegments.length === 0;
+    }
+    const [segment, ...rest] = patternSegments;
+    if (segment === '**') {
+      return matchSegments(pathSegments, rest) ||
+        (pathSegments.length > 0 && matchSegments(pathSegments.slice(1), patternSegments));
+    }
+    return pathSegments.length > 0 &&
+      (segment === '*' || segment === pathSegments[0]) &&
+      matchSegments(pathSegments.slice(1), rest);
+  };
+  
+  return matchSegments(fieldPath.split('.'), pattern.split('.'));
+}
+
+/**
+ * Set nested field value using dot notation
+ */
+function setNestedFieldValue(obj, fieldPath, value) {
+  // "items[].name" writes each value into the matching element of the items array
+  const arrayIndex = fieldPath.indexOf('[]');
+  if (arrayIndex !== -1) {
+    const arrayPath = fieldPath.slice(0, arrayIndex);
+    const elementPath = fieldPath.slice(arrayIndex + 2).replace(/^\./, '');
+    if (!elementPath || !Array.isArray(value)) {
+      setNestedFieldValue(obj, arrayPath, value);
+      return;
+    }
+    
+    const existing = getNestedFieldValue(obj, arrayPath);
+    const items = Array.isArray(existing) ? existing : [];
+    value.forEach((elementValue, i) => {
+      if (!items[i] || typeof items[i] !== 'object') items[i] = {};
+      // Elements without the field keep their position but get no key
+      if (elementValue !== null && elementValue !== undefined) {
+        setNestedFieldValue(items[i], elementPath, elementValue);
+      }
+    });
+    setNestedFieldValue(obj, arrayPath, items);
+    return;
+  }
+  
+  const keys = fieldPath.split('.');
+  const lastKey = keys.pop();
+  
+  const target = keys.reduce((current, key) => {
+    if (!current[key]) current[key] = {};
+    return current[key];
+  }, obj);
+  
+  target[lastKey] = value;
+}
+
+/**
+ * Get appropriate error code based on error type
+ */
+function getErrorCode(error) {
+  if (error.message.includes('permission')) {
+    return 'PERMISSION_DENIED';
+  }
+  if (error.message.includes('not found') || error.message.includes('does not exist')) {
+    return 'NOT_FOUND';
+  }
+  if (error.message.includes('Invalid') || error.message.includes('validation')) {
+    return 'VALIDATION_ERROR';
+  }
+  if (error.message.includes('quota') || error.message.includes('limit')) {
+    return 'QUOTA_EXCEEDED';
+  }
+  if (error.message.includes('rate limit') || error.message.includes('too many requests')) {
+    return 'RATE_LIMIT_EXCEEDED';
+  }
+  return 'INTERNAL_ERROR';
+}
+
+/**
+ * Page Tokens
+ */
+
+let pageTokenKeyPromise = null;
+
+/**
+ * Load the page token signing key, creating it on first use
+ * The key is cached for the lifetime of the instance
+ */
+function getPageTokenKey() {
+  if (!pageTokenKeyPromise) {
+    pageTokenKeyPromise = loadPageTokenKey().catch((error) => {
+      pageTokenKeyPromise = null;
+      throw error;
+    });
+  }
+
+  return pageTokenKeyPromise;
+}
+
+async function loadPageTokenKey() {
+  const keyRef = db.doc(PAGE_TOKEN_KEY_DOC);
+  const snapshot = await keyRef.get();
+
+  if (snapshot.exists) {
+    return Buffer.from(snapshot.get('key'), 'base64');
+  }
+
+  const key = crypto.randomBytes(32);
+  try {
+    await keyRef.create({
+      key: key.toString('base64'),
+      createdAt: FieldValue.serverTimestamp()
+    });
+    console.log('Created page token signing key');
+    return key;
+  } catch (error) {
+    // Another instance created the key first (ALREADY_EXISTS)
+    if (error.code !== 6) {
+      throw error;
+    }
+    const existing = await keyRef.get();
+    return Buffer.from(existing.get('key'), 'base64');
+  }
+}
+
+/**
+ * Hash everything that determines which documents match and in which order,
+ * so a page token cannot be replayed against a different search
+ */
+function hashSearchRequest(request) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(request))
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+async function signPageTokenPayload(encodedPayload) {
+  const key = await getPageTokenKey();
+  return crypto.createHmac('sha256', key).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create an opaque page token for the next page
+ * The position is either an offset into the ranked matches or the ID of the
+ * last scanned document (Firestore cursor)
+ */
+async function createPageToken(queryHash, position) {
+  const payload = { v: PAGE_TOKEN_VERSION, h: queryHash };
+
+  if (position.cursor) {
+    payload.c = position.cursor;
+    payload.n = position.matchesBefore;
+  } else {
+    payload.o = position.offset;
+  }
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = await signPageTokenPayload(encodedPayload);
+  return `${encodedPayload}.${signature}`;
+}
+
+/**
+ * Verify a page token and resolve the position it points to
+ * Cursors of collection group searches hold the full document path
+ * Returns { valid, position } or { valid: false, error, code }
+ */
+async function validatePageToken(pageToken, queryHash, collection, collectionGroup = false) {
+  const invalid = (error, code = 'INVALID_PAGE_TOKEN') => ({ valid: false, error, code });
+
+  if (typeof pageToken !== 'string' || !/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(pageToken)) {
+    return invalid('pageToken is malformed');
+  }
+
+  const [encodedPayload, signature] = pageToken.split('.');
+  const expectedSignature = Buffer.from(await signPageTokenPayload(encodedPayload));
+  const actualSignature = Buffer.from(signature);
+
+  if (actualSignature.length !== expectedSignature.length || !crypto.timingSafeEqual(actualSignature, expectedSignature)) {
+    return invalid('pageToken signature is invalid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return invalid('pageToken is malformed');
+  }
+
+  if (!payload || payload.v !== PAGE_TOKEN_VERSION) {
+    return invalid('pageToken version is not supported');
+  }
+
+  if (payload.h !== queryHash) {
+    return invalid('pageToken was issued for a different query', 'PAGE_TOKEN_QUERY_MISMATCH');
+  }
+
+  // Firestore cursors resume after the last scanned document
+  if (payload.c) {
+    const cursorRef = collectionGroup ? db.doc(payload.c) : db.collection(collection).doc(payload.c);
+    const cursorDoc = await cursorRef.get();
+    if (!cursorDoc.exists) {
+      return invalid('pageToken points to a document that no longer exists, restart from the first page', 'PAGE_TOKEN_EXPIRED');
+    }
+    const matchesBefore = Number.isInteger(payload.n) && payload.n >= 0 ? payload.n : 0;
+    return { valid: true, position: { offset: 0, startAfter: cursorDoc, matchesBefore } };
+  }
+
+  if (!Number.isInteger(payload.o) || payload.o < 0) {
+    return invalid('pageToken is malformed');
+  }
+
+  return { valid: true, position: { offset: payload.o, startAfter: null, matchesBefore: 0 } };
+}
+
+/**
+ * Search Index
+ */
+
+/**
+ * Check whether a collection should be maintained in the search index
+ * Internal extension collections (prefixed with _search) and subcollections are never indexed
+ */
+function isCollectionIndexable(collection) {
+  if (!collection || isInternalCollectionPath(collection) || collection.includes('/')) {
+    return false;
+  }
+  
+  if (config.searchableCollections.length > 0) {
+    return config.searchableCollections.includes(collection);
+  }
+  
+  return true;
+}
+
+/**
+ * Split normalized (lowercased, optionally folded) text into index terms on any non letter/number character
+ * Stopwords are dropped and, with a language, every term is reduced to its stem ("running" -> "run")
+ * With keepWildcards, * and ? stay part of the terms and wildcard patterns are not stemmed
+ */
+function tokenizeText(text, language = null, stopwords = null, { tokenizer = 'auto', forIndex = false, keepWildcards = false } = {}) {
+  if (text === null || text === undefined) {
+    return [];
+  }
+  
+  const words = splitWords(normalizeText(text), keepWildcards);
+  const stemmer = getStemmer(language);
+  const terms = [];
+  
+  const addWord = (word) => {
+    if (word.length > SEARCH_INDEX_MAX_TERM_LENGTH || (stopwords && stopwords.has(word))) return;
+    terms.push(stemmer && !/[*?]/.test(word) ? stemmer.stem(word) || word : word);
+  };
+  
+  // CJK text has no spaces between words, so runs of CJK characters become bigrams
+  for (const word of words) {
+    if (tokenizer === 'cjk') {
+      terms.push(...toBigrams(word, forIndex));
+    } else if (!containsCjk(word)) {
+      addWord(word);
+    } else {
+      for (const run of word.match(CJK_RUN_PATTERN)) {
+        if (containsCjk(run)) {
+          terms.push(...toBigrams(run, forIndex));
+        } else {
+          addWord(run);
+        }
+      }
+    }
+  }
+  
+  return terms;
+}
+
+/**
+ * Check whether text contains characters of a CJK script (Han, Hiragana, Katakana, Hangul)
+ */
+function containsCjk(text) {
+  return CJK_CHARACTER_PATTERN.test(text);
+}
+
+/**
+ * Split a run of characters into overlapping bigrams ("東京タワー" -> 東京, 京タ, タワ, ワー)
+ * Index terms also get the last character on its own, so every character starts
+ * a term and single character searches are answered by prefix expansion
+ */
+function toBigrams(run, withTrailingUnigram = false) {
+  const characters = Array.from(run);
+  if (characters.length <= 1) {
+    return characters;
+  }
+  
+  const bigrams = [];
+  for (let i = 0; i < characters.length - 1; i++) {
+    bigrams.push(characters[i] + characters[i + 1]);
+  }
+  if (withTrailingUnigram) {
+    bigrams.push(characters[characters.length - 1]);
+  }
+  return bigrams;
+}
+
+/**
+ * Get the configured tokenizer of a searchable field ('auto' unless set with field:cjk)
+ */
+function getFieldTokenizer(field) {
+  if (config.fieldTokenizers[field]) {
+    return config.fieldTokenizers[field];
+  }
+  // A concrete path ("title.fr") uses the tokenizer of the wildcard field it belongs to
+  const pattern = Object.keys(config.fieldTokenizers).find(fieldPattern => fieldPathMatchesPattern(field, fieldPattern));
+  return pattern ? config.fieldTokenizers[pattern] : 'auto';
+}
+
+/**
+ * Tokenize a query term or phrase once per tokenizer used by the given fields
+ * A document matches the text when it contains every token of one of the variants
+ */
+function getQueryTokenVariants(text, searchQuery, fields) {
+  const variants = new Map();
+  for (const tokenizer of new Set(fields.map(getFieldTokenizer))) {
+    const tokens = [...new Set(tokenizeText(text, searchQuery.language, searchQuery.stopwords, {
+      tokenizer,
+      keepWildcards: searchQuery.matchOptions.matchMode === 'wildcard'
+    }))];
+    if (tokens.length > 0) {
+      variants.set(tokens.join(' '), tokens);
+    }
+  }
+  return [...variants.values()];
+}
+
+const stemmers = new Map();
+
+/**
+ * Get the Snowball stemmer for a language, or null when the language does not stem
+ */
+function getStemmer(language) {
+  if (!language || language === 'none') {
+    return null;
+  }
+  
+  if (!stemmers.has(language)) {
+    stemmers.set(language, snowballStemmers.newStemmer(language));
+  }
+  return stemmers.get(language);
+}
+
+/**
+ * Resolve the analyzer language of a collection (per-collection setting or the default)
+ */
+function getCollectionLanguage(collection) {
+  return config.collectionLanguages[collection] || config.defaultLanguage;
+}
+
+const stopwordsCache = new Map();
+
+/**
+ * Load the stopwords of a collection: the built-in list of its language plus the
+ * custom words in _searchStopwords/{collection} (cached for STOPWORDS_CACHE_TTL_MS)
+ */
+async function getCollectionStopwords(collection, language) {
+  const cacheKey = `${collection}:${language}`;
+  const cached = stopwordsCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.stopwords;
+  }
+  
+  let customWords = [];
+  let includeDefaults = true;
+  try {
+    const snapshot = await db.collection(STOPWORDS_COLLECTION).doc(collection).get();
+    if (snapshot.exists) {
+      const data = snapshot.data();
+      customWords = Array.isArray(data.words) ? data.words.filter(word => typeof word === 'string') : [];
+      includeDefaults = data.includeDefaults !== false;
+    }
+  } catch (error) {
+    console.warn(`Could not load custom stopwords for ${collection}: ${error.message}`);
+  }
+  
+  const defaultList = DEFAULT_STOPWORDS[language === 'porter' ? 'english' : language];
+  const stopwords = new Set([
+    ...(includeDefaults && defaultList ? defaultList.split(' ') : []),
+    ...customWords.map(word => word.trim())
+  ].map(word => normalizeText(word)).filter(word => word.length > 0));
+  
+  stopwordsCache.set(cacheKey, { stopwords, expiresAt: Date.now() + STOPWORDS_CACHE_TTL_MS });
+  return stopwords;
+}
+
+const synonymsCache = new Map();
+
+/**
+ * Normalize text the way synonym entries are looked up: normalized words joined by single spaces
+ */
+function normalizeSynonymText(text) {
+  return String(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 0)
+    .map(word => normalizeText(word))
+    .join(' ');
+}
+
+/**
+ * Parse synonym rules into a map from a normalized term to the terms it expands to
+ * "tv, television" makes every entry match the others, "iphone -> smartphone"
+ * expands the left-hand terms only
+ */
+function parseSynonymRules(rules) {
+  const synonyms = new Map();
+  const addExpansions = (sources, targets) => {
+    for (const source of sources) {
+      const key = normalizeSynonymText(source);
+      const expansions = synonyms.get(key) || [];
+      for (const target of targets) {
+        if (normalizeSynonymText(target) !== key && !expansions.includes(target)) {
+          expansions.push(target);
+        }
+      }
+      if (expansions.length > 0) {
+        synonyms.set(key, expansions);
+      }
+    }
+  };
+  const splitEntries = (list) => list.split(',')
+    .map(entry => entry.trim().replace(/\s+/g, ' '))
+    .filter(entry => normalizeSynonymText(entry).length > 0);
+  
+  for (const rule of rules) {
+    if (typeof rule !== 'string') continue;
+    
+    const arrowIndex = rule.indexOf('->');
+    if (arrowIndex !== -1) {
+      addExpansions(splitEntries(rule.slice(0, arrowIndex)), splitEntries(rule.slice(arrowIndex + 2)));
+    } else {
+      const entries = splitEntries(rule);
+      addExpansions(entries, entries);
+    }
+  }
+  
+  return synonyms;
+}
+
+/**
+ * Load the synonyms of a collection from _searchSynonyms/{collection}
+ * Cached for SYNONYMS_CACHE_TTL_MS, so edits are picked up without a redeploy
+ */
+async function getCollectionSynonyms(collection) {
+  const cached = synonymsCache.get(collection);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.synonyms;
+  }
+  
+  let rules = [];
+  try {
+    const snapshot = await db.collection(SYNONYMS_COLLECTION).doc(collection).get();
+    if (snapshot.exists && Array.isArray(snapshot.data().synonyms)) {
+      rules = snapshot.data().synonyms;
+    }
+  } catch (error) {
+    console.warn(`Could not load synonyms for ${collection}: ${error.message}`);
+  }
+  
+  const synonyms = rules.length > 0 ? parseSynonymRules(rules) : null;
+  synonymsCache.set(collection, { synonyms, expiresAt: Date.now() + SYNONYMS_CACHE_TTL_MS });
+  return synonyms;
+}
+
+/**
+ * Convert a field value into the text that gets tokenized for the index
+ * Arrays are flattened element by element, maps are skipped
+ */
+function getSearchableText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => getSearchableText(item)).join(' ');
+  }
+  
+  if (typeof value === 'object') {
+    return '';
+  }
+  
+  return String(value);
+}
+
+/**
+ * Build the index entry (term -> frequency per field) for a document
+ */
+function buildIndexEntry(data, searchFields, language = null, stopwords = null) {
+  const terms = {};
+  const fieldLengths = {};
+  const geohashes = {};
+  
+  for (const field of config.geoFields) {
+    const point = getGeoPoint(getNestedFieldValue(data, field));
+    if (point) {
+      geohashes[field] = encodeGeohash(point);
+    }
+  }
+  
+  for (const field of searchFields) {
+    const fieldValue = getNestedFieldValue(data, field);
+    const fieldTerms = tokenizeText(getSearchableText(fieldValue), language, stopwords, {
+      tokenizer: getFieldTokenizer(field),
+      forIndex: true
+    });
+    fieldLengths[field] = fieldTerms.length;
+    
+    // Phonetic codes are taken from the words as written, before stemming
+    const phoneticTerms = isPhoneticField(field) ?
+      tokenizeText(getSearchableText(fieldValue), null, stopwords)
+        .flatMap(word => getPhoneticCodes(word).map(code => PHONETIC_TERM_PREFIX + code)) :
+      [];
+    
+    for (const term of [...fieldTerms, ...phoneticTerms]) {
+      if (!terms[term]) {
+        terms[term] = { tf: 0, fields: {} };
+      }
+      terms[term].tf++;
+      terms[term].fields[field] = (terms[term].fields[field] || 0) + 1;
+    }
+  }
+  
+  return { terms, fieldLengths, geohashes };
+}
+
+/**
+ * Encode an index term so it can be used as a Firestore document ID
+ */
+function encodeIndexTerm(term) {
+  return encodeURIComponent(term);
+}
+
+/**
+ * Update the inverted index for a single document
+ * Pass null as data when the document has been deleted.
+ * Triggers are retried and can be delivered more than once, so every step can run again safely:
+ * a transaction claims the update by writing the document's index entry together with the change
+ * of the collection statistics, then the postings are written in transactions of a chunk of terms
+ * that only count document frequency for the postings they actually create or delete. Terms whose
+ * postings still have to be removed stay in the entry's pendingTerms until the last chunk is written,
+ * so a retried or newer update of the document removes them as well
+ */
+async function updateSearchIndex(collection, docId, data, eventTime = Date.now()) {
+  const indexRef = db.collection(SEARCH_INDEX_COLLECTION).doc(collection);
+  const termsRef = indexRef.collection('terms');
+  const entryRef = indexRef.collection('documents').doc(docId);
+  
+  const language = getCollectionLanguage(collection);
+  const stopwords = data ? await getCollectionStopwords(collection, language) : null;
+  const entry = data ? buildIndexEntry(data, config.searchableFields, language, stopwords) : { terms: {}, fieldLengths: {}, geohashes: {} };
+  const nextTerms = Object.keys(entry.terms);
+  
+  const staleTerms = await db.runTransaction(async (transaction) => {
+    const entrySnapshot = await transaction.get(entryRef);
+    const previous = entrySnapshot.exists ? entrySnapshot.data() : null;
+    
+    // Triggers can be delivered out of order, never let an older write win
+    if (previous && previous.eventTime && previous.eventTime > eventTime) {
+      return null;
+    }
+    
+    // Postings of terms the document no longer contains, including those an
+    // interrupted update did not get to remove
+    const removedTerms = new Set(previous ? [...(previous.terms || []), ...(previous.pendingTerms || [])] : []);
+    nextTerms.forEach(term => removedTerms.delete(term));
+    
+    // Keep the collection statistics used for BM25 length normalization in sync.
+    // Deleted documents keep an entry until their postings are removed
+    const previousIndexed = previous !== null && !previous.deleted;
+    const previousLengths = previousIndexed ? previous.fieldLengths || {} : {};
+    const lengthChanges = {};
+    for (const field of new Set([...Object.keys(previousLengths), ...Object.keys(entry.fieldLengths)])) {
+      const change = (entry.fieldLengths[field] || 0) - (previousLengths[field] || 0);
+      if (change !== 0) {
+        lengthChanges[field] = FieldValue.increment(change);
+      }
+    }
+    // The language and normalization tell searches whether the index terms were analyzed like their query,
+    // the geo and phonetic fields whether the entries carry geohashes and phonetic codes
+    const docCountChange = (data ? 1 : 0) - (previousIndexed ? 1 : 0);
+    transaction.set(indexRef, {
+      collection,
+      language,
+      textNormalization: config.textNormalization,
+      geoFields: config.geoFields,
+      phoneticFields: config.phoneticFields,
+      docCount: FieldValue.increment(docCountChange),
+      fieldLengths: lengthChanges
+    }, { merge: true });
+    
+    transaction.set(entryRef, {
+      terms: nextTerms,
+      pendingTerms: [...removedTerms],
+      fieldLengths: entry.fieldLengths,
+      geohashes: entry.geohashes,
+      deleted: !data,
+      eventTime
+    });
+    
+    return [...removedTerms];
+  });
+  
+  if (staleTerms === null) {
+    console.log(`Skipping stale index update for ${collection}/${docId}`);
+    return { updated: false, reason: 'stale' };
+  }
+  
+  const changes = [
+    ...nextTerms.map(term => ({ term, posting: entry.terms[term] })),
+    ...staleTerms.map(term => ({ term, posting: null }))
+  ];
+  
+  // An empty change still runs once to clean up the entry
+  for (let i = 0; i === 0 || i < changes.length; i += SEARCH_INDEX_TRANSACTION_TERMS) {
+    const chunk = changes.slice(i, i + SEARCH_INDEX_TRANSACTION_TERMS);
+    const isLastChunk = i + SEARCH_INDEX_TRANSACTION_TERMS >= changes.length;
+    
+    const superseded = await db.runTransaction(async (transaction) => {
+      const entrySnapshot = await transaction.get(entryRef);
+      if (!entrySnapshot.exists || entrySnapshot.get('eventTime') !== eventTime) {
+        return true;
+      }
+      
+      const postingRefs = chunk.map(({ term }) => termsRef.doc(encodeIndexTerm(term)).collection('postings').doc(docId));
+      const postings = chunk.length > 0 ? await transaction.getAll(...postingRefs) : [];
+      
+      chunk.forEach(({ term, posting }, j) => {
+        const termRef = termsRef.doc(encodeIndexTerm(term));
+        if (posting) {
+          // The lengths of the fields let searches rank the posting without reading the document
+          const lengths = {};
+          for (const field of Object.keys(posting.fields)) {
+            lengths[field] = entry.fieldLengths[field] || 0;
+          }
+          transaction.set(postingRefs[j], { docId, tf: posting.tf, fields: posting.fields, lengths });
+          if (!postings[j].exists) {
+            transaction.set(termRef, { term, df: FieldValue.increment(1) }, { merge: true });
+          }
+        } else if (postings[j].exists) {
+          transaction.delete(postingRefs[j]);
+          transaction.set(termRef, { term, df: FieldValue.increment(-1) }, { merge: true });
+        }
+      });
+      
+      if (isLastChunk) {
+        if (data) {
+          transaction.update(entryRef, { pendingTerms: [] });
+        } else {
+          transaction.delete(entryRef);
+        }
+      }
+      return false;
+    });
+    
+    // A newer update of the document claimed the entry and finishes the postings
+    if (superseded) {
+      console.log(`Index update for ${collection}/${docId} was superseded by a newer write`);
+      return { updated: false, reason: 'superseded' };
+    }
+  }
+  
+  return { updated: true, terms: nextTerms.length };
+}
+
+/**
+ * Build the normalized shadow fields of a document: the lowercased and folded value of every
+ * searchable field holding a string, nested like the field path. Wildcard and array paths are
+ * skipped because a range query compares a single value per field
+ */
+function buildShadowFields(data) {
+  const shadowFields = {};
+  for (const field of config.searchableFields) {
+    if (hasFieldWildcard(field) || field.includes('[]')) continue;
+    
+    const value = getNestedFieldValue(data, field);
+    if (typeof value === 'string') {
+      setNestedFieldValue(shadowFields, field, Array.from(normalizeText(value)).slice(0, SHADOW_FIELD_MAX_LENGTH).join(''));
+    }
+  }
+  return shadowFields;
+}
+
+/**
+ * Update the shadow fields of a document when they are out of date
+ * Writing them triggers updateSearchIndexOnWrite again, which then finds them unchanged.
+ * The update only applies to the version of the document it was built from; when the
+ * document changed or was deleted in the meantime, the trigger of that write takes over
+ */
+async function updateShadowFields(docRef, data, updateTime = null) {
+  const shadowFields = buildShadowFields(data);
+  if (isDeepStrictEqual(data[SHADOW_FIELDS_KEY] || {}, shadowFields)) {
+    return { updated: false, reason: 'unchanged' };
+  }
+  
+  const update = { [SHADOW_FIELDS_KEY]: shadowFields };
+  try {
+    await (updateTime ? docRef.update(update, { lastUpdateTime: updateTime }) : docRef.update(update));
+  } catch (error) {
+    // NOT_FOUND or FAILED_PRECONDITION: a newer write replaced this version
+    if (error.code !== 5 && error.code !== 9) {
+      throw error;
+    }
+    return { updated: false, reason: 'superseded' };
+  }
+  
+  return { updated: true, fields: Object.keys(shadowFields).length };
+}
+
+/**
+ * Check whether a write only changed the shadow fields, which are not part of the index
+ */
+function isShadowFieldsUpdate(before, after) {
+  if (!before || !after) {
+    return false;
+  }
+  
+  const { [SHADOW_FIELDS_KEY]: beforeShadowFields, ...beforeFields } = before;
+  const { [SHADOW_FIELDS_KEY]: afterShadowFields, ...afterFields } = after;
+  return !isDeepStrictEqual(beforeShadowFields, afterShadowFields) && isDeepStrictEqual(beforeFields, afterFields);
+}
+
+/**
+ * Find index terms matching a query term
+ * Exact mode only uses the term itself and wildcard mode reads the terms starting with
+ * the characters before the first wildcard. Prefix and contains modes match terms starting
+ * with the query term. Fuzzy mode reads the terms sharing the first characters of the
+ * query term (at least two, or prefixLength) and keeps those within the typo budget.
+ * Other typos inside that leading prefix are not tolerated by the index, but transposed
+ * leading characters are looked up as well.
+ */
+async function expandIndexTerm(termsRef, queryTerm, matchOptions = getDefaultMatchOptions()) {
+  const { matchMode } = matchOptions;
+  if (matchMode === 'exact') {
+    return [queryTerm];
+  }
+  
+  const isWildcard = matchMode === 'wildcard';
+  const maxTypos = TYPO_MATCH_MODES.includes(matchMode) && !containsCjk(queryTerm) ?
+    getMaxTypos(queryTerm.length, matchOptions.fuzziness) : 0;
+  const useFuzzy = maxTypos > 0;
+  const lookupLength = Math.max(2, matchOptions.prefixLength);
+  const literalPrefix = isWildcard ? queryTerm.split(/[*?]/)[0] : queryTerm;
+  const prefixes = new Set([useFuzzy ? queryTerm.slice(0, lookupLength) : literalPrefix]);
+  
+  // "teh" also reads the terms starting with "et" and "th"
+  if (useFuzzy) {
+    for (let i = matchOptions.prefixLength; i < lookupLength && i + 1 < queryTerm.length; i++) {
+      const transposed = queryTerm.slice(0, i) + queryTerm[i + 1] + queryTerm[i] + queryTerm.slice(i + 2);
+      prefixes.add(transposed.slice(0, lookupLength));
+    }
+  }
+  
+  const snapshots = await Promise.all([...prefixes].map(prefix => termsRef
+    .where('term', '>=', prefix)
+    .where('term', '<', prefix + '\uf8ff')
+    .limit(SEARCH_INDEX_MAX_EXPANSIONS)
+    .get()));
+  
+  if (snapshots.some(snapshot => snapshot.size >= SEARCH_INDEX_MAX_EXPANSIONS)) {
+    console.warn(`⚠️  Term expansion for "${queryTerm}" reached ${SEARCH_INDEX_MAX_EXPANSIONS} index terms, results may be incomplete`);
+  }
+  
+  const requiredPrefix = queryTerm.slice(0, matchOptions.prefixLength);
+  const matches = [];
+  snapshots.forEach(snapshot => snapshot.forEach((doc) => {
+    const { term, df } = doc.data();
+    if (!term || !(df > 0)) return;
+    
+    if (isWildcard) {
+      if (wildcardMatch(queryTerm, term)) matches.push(term);
+    } else if (term.startsWith(queryTerm)) {
+      matches.push(term);
+    } else if (useFuzzy && term.startsWith(requiredPrefix) && (
+      damerauLevenshteinDistance(queryTerm, term.slice(0, queryTerm.length)) <= maxTypos ||
+      damerauLevenshteinDistance(queryTerm, term) <= maxTypos
+    )) {
+      matches.push(term);
+    }
+  }));
+  
+  return matches;
+}
+
+/**
+ * Check whether the backfill has indexed the existing documents of a collection
+ * Until then the index only holds the documents written since the trigger was deployed.
+ * Collections the backfill did not list were created after it started and are indexed
+ * by the trigger alone
+ */
+async function isSearchIndexReady(collection) {
+  const stateSnapshot = await db.doc(BACKFILL_STATE_DOC).get();
+  if (!stateSnapshot.exists) {
+    return false;
+  }
+  
+  const { status, collections = [], collectionIndex = 0 } = stateSnapshot.data();
+  const position = collections.indexOf(collection);
+  if (position === -1) {
+    return config.searchableCollections.length === 0;
+  }
+  return status === 'complete' || position < collectionIndex;
+}
+
+/**
+ * Check whether the index candidates of a query are exactly its matches, so candidates
+ * that were not read can be counted as hits. That holds for case-insensitive exact searches
+ * (and prefix searches without stemming) whose terms and synonyms are single index tokens.
+ * Phrases, field scopes, exclusions, terms of several tokens, CJK bigrams, typos and
+ * phonetic codes are only decided when the documents are verified
+ */
+function isIndexResolvedExactly(searchQuery, caseSensitive) {
+  const { matchMode } = searchQuery.matchOptions;
+  if (caseSensitive || searchQuery.tree.type !== 'match' ||
+      !(matchMode === 'exact' || (matchMode === 'prefix' && !getStemmer(searchQuery.language)))) {
+    return false;
+  }
+  
+  const texts = searchQuery.terms.flatMap(term => [term, ...(searchQuery.synonyms[term] || [])]);
+  return texts.every((text) => {
+    const variants = getQueryTokenVariants(text, searchQuery, config.searchableFields);
+    return variants.length === 1 && variants[0].length === 1 && !containsCjk(variants[0][0]);
+  });
+}
+
+/**
+ * Resolve candidate document IDs for a search query from the inverted index
+ * The query tree is resolved bottom-up: terms and phrases need all of their tokens,
+ * AND intersects, OR unions and match nodes need the required number of terms.
+ * Negations and field scopes cannot narrow candidates and are applied when matches
+ * are verified afterwards. Also returns the collection statistics and the postings needed for ranking.
+ * Returns null when the query cannot be resolved from the index (e.g. only exclusions).
+ */
+async function findIndexCandidates(collection, searchQuery) {
+  const indexRef = db.collection(SEARCH_INDEX_COLLECTION).doc(collection);
+  const termsRef = indexRef.collection('terms');
+  
+  const statsSnapshot = await indexRef.get();
+  const {
+    docCount = 0,
+    fieldLengths = {},
+    language: indexLanguage = 'none',
+    textNormalization: indexNormalization = 'none',
+    phoneticFields: indexPhoneticFields = []
+  } = statsSnapshot.exists ? statsSnapshot.data() : {};
+  
+  // Index terms are only comparable with query terms analyzed the same way
+  if (indexLanguage !== searchQuery.language || indexNormalization !== config.textNormalization) {
+    console.log(`Search index of ${collection} is analyzed as "${indexLanguage}/${indexNormalization}", query uses "${searchQuery.language}/${config.textNormalization}"`);
+    return null;
+  }
+  
+  // Matching by sound needs the phonetic codes of every field it applies to
+  const isMatchedBySound = field => getFieldMatchOptions(field, searchQuery.matchOptions).matchMode === 'phonetic';
+  const missingPhoneticFields = config.searchableFields.filter(field => isMatchedBySound(field) && !indexPhoneticFields.includes(field));
+  if (missingPhoneticFields.length > 0) {
+    console.log(`Search index of ${collection} has no phonetic codes for ${missingPhoneticFields.join(', ')}`);
+    return null;
+  }
+  
+  // Index terms are read by their leading characters, so patterns starting with a wildcard need a scan
+  if (searchQuery.matchOptions.matchMode === 'wildcard') {
+    const leadingWildcard = searchQuery.terms.find(term => /^[*?]/.test(term));
+    if (leadingWildcard) {
+      console.log(`Wildcard pattern "${leadingWildcard}" starts with a wildcard and cannot use the search index`);
+      return null;
+    }
+  }
+  
+  const docFrequencies = {};
+  const termCandidatesCache = new Map();
+  // Weighted frequencies per field of every document for each query term, and the field
+  // lengths stored with the postings, for ranking the candidates
+  const termPostings = new Map();
+  const docFieldLengths = new Map();
+  
+  const fetchTermCandidates = async (queryTerm) => {
+    if (termCandidatesCache.has(queryTerm)) {
+      return termCandidatesCache.get(queryTerm);
+    }
+    
+    // Phonetic codes are looked up as they are, words are expanded by prefix and typos
+    const isPhoneticCode = queryTerm.startsWith(PHONETIC_TERM_PREFIX);
+    const indexTerms = isPhoneticCode ?
+      [queryTerm] :
+      await expandIndexTerm(termsRef, queryTerm, searchQuery.matchOptions);
+    const postingSnapshots = await Promise.all(indexTerms.map(term =>
+      termsRef.doc(encodeIndexTerm(term)).collection('postings')
+        .limit(SEARCH_INDEX_MAX_POSTINGS)
+        .get()
+    ));
+    
+    const fieldFrequenciesByDoc = new Map();
+    postingSnapshots.forEach((postings, i) => {
+      if (postings.size >= SEARCH_INDEX_MAX_POSTINGS) {
+        console.warn(`⚠️  Postings for a term of "${queryTerm}" reached ${SEARCH_INDEX_MAX_POSTINGS} documents, results may be incomplete`);
       }
-    });
-
-    // Sort results if sortBy is specified (before transformation)
-    if (sortBy && sortBy.trim() !== '') {
-      const sortDirection = direction && ['desc', 'descending'].includes(direction.toLowerCase()) ? -1 : 1;
       
-      results.sort((a, b) => {
-        const valueA = getNestedFieldValue(a.originalData, sortBy);
-        const valueB = getNestedFieldValue(b.originalData, sortBy);
-        
-        // Handle null/undefined values - put them at the end
-        if (valueA === null || valueA === undefined) {
-          if (valueB === null || valueB === undefined) return 0;
-          return 1; // Put nulls at the end regardless of sort direction
-        }
-        if (valueB === null || valueB === undefined) {
-          return -1; // Put nulls at the end regardless of sort direction
+      // Expanded terms count less than the query term itself, like the tokens of scanned documents
+      const qualities = {};
+      for (const field of config.searchableFields) {
+        qualities[field] = isPhoneticCode ?
+          SCORE_PHONETIC_FACTOR :
+          termMatchQuality(queryTerm, indexTerms[i], getFieldMatchOptions(field, searchQuery.matchOptions));
+      }
+      
+      postings.forEach((posting) => {
+        const { fields = {}, lengths } = posting.data();
+        const fieldFrequencies = fieldFrequenciesByDoc.get(posting.id) || {};
+        for (const [field, count] of Object.entries(fields)) {
+          fieldFrequencies[field] = (fieldFrequencies[field] || 0) + (qualities[field] || 0) * count;
         }
-        
-        // Convert to strings for comparison if they're not numbers or dates
-        let compareA = valueA;
-        let compareB = valueB;
-        
-        // Handle different data types
-        if (typeof valueA === 'string' && typeof valueB === 'string') {
-          // String comparison (case-insensitive, trimmed)
-          compareA = valueA.trim().toLowerCase();
-          compareB = valueB.trim().toLowerCase();
-        } else if (typeof valueA === 'number' && typeof valueB === 'number') {
-          // Numeric comparison - use as is
-        } else if (valueA instanceof Date && valueB instanceof Date) {
-          // Date comparison - use as is
-        } else {
-          // Mixed types - convert to strings (case-insensitive, trimmed)
-          compareA = String(valueA).trim().toLowerCase();
-          compareB = String(valueB).trim().toLowerCase();
+        fieldFrequenciesByDoc.set(posting.id, fieldFrequencies);
+        if (lengths) {
+          docFieldLengths.set(posting.id, { ...docFieldLengths.get(posting.id), ...lengths });
         }
-        
-        if (compareA < compareB) return -1 * sortDirection;
-        if (compareA > compareB) return 1 * sortDirection;
-        return 0;
       });
+    });
+    
+    const termCandidates = new Set(fieldFrequenciesByDoc.keys());
+    termPostings.set(queryTerm, fieldFrequenciesByDoc);
+    docFrequencies[queryTerm] = termCandidates.size;
+    termCandidatesCache.set(queryTerm, termCandidates);
+    return termCandidates;
+  };
+  
+  const intersect = (a, b) => new Set([...a].filter(docId => b.has(docId)));
+  
+  // Every word has to share a phonetic code with the document
+  const resolvePhonetic = async (text) => {
+    let candidates = new Set();
+    const words = tokenizeText(text, null, searchQuery.stopwords);
+    for (let i = 0; i < words.length; i++) {
+      const wordCandidates = new Set();
+      for (const code of getPhoneticCodes(words[i])) {
+        (await fetchTermCandidates(PHONETIC_TERM_PREFIX + code)).forEach(docId => wordCandidates.add(docId));
+      }
+      candidates = i === 0 ? wordCandidates : intersect(candidates, wordCandidates);
+      if (candidates.size === 0) break;
+    }
+    return candidates;
+  };
+  
+  // Every index token of a term or phrase has to be present; fields with
+  // different tokenizers produce alternative token lists. Fields matched by
+  // sound add the documents sharing the phonetic codes of the text
+  const resolveText = async (text, fields) => {
+    const variants = getQueryTokenVariants(text, searchQuery, fields);
+    if (variants.length === 0) {
+      return null;
     }
-
-    // Transform the sorted results to clean JSON
-    const transformedResults = results.map(item => transformFirestoreData(item.rawDoc));
     
-    const processingTime = Date.now() - startTime;
-    console.log(`Search completed in ${processingTime}ms: ${transformedResults.length} results from ${snapshot.size} documents scanned`);
+    const candidates = fields.some(isMatchedBySound) ? await resolvePhonetic(text) : new Set();
+    for (const queryTerms of variants) {
+      let variantCandidates = null;
+      for (const queryTerm of queryTerms) {
+        const termCandidates = await fetchTermCandidates(queryTerm);
+        variantCandidates = variantCandidates === null ? termCandidates : intersect(variantCandidates, termCandidates);
+        if (variantCandidates.size === 0) break;
+      }
+      variantCandidates.forEach(docId => candidates.add(docId));
+    }
+    return candidates;
+  };
+  
+  // At least requiredMatches of the terms have to be present, each directly or through a synonym
+  const resolveMatch = async (node) => {
+    const searchFields = config.searchableFields;
+    const termTexts = (term) => [term, ...((node.synonyms && node.synonyms[term]) || [])];
+    const queryTerms = node.terms.filter(term =>
+      termTexts(term).some(text => getQueryTokenVariants(text, searchQuery, searchFields).length > 0));
+    if (queryTerms.length === 0) {
+      return null;
+    }
     
-    // If no results found and we used an optimized query, try a simple collection scan as fallback
-    if (transformedResults.length === 0 && usedOptimizedQuery) {
-      console.log('No results from optimized query, trying simple collection scan as fallback...');
+    const requiredMatches = Math.min(node.requiredMatches, queryTerms.length);
+    const matchCounts = new Map();
+    
+    for (let i = 0; i < queryTerms.length; i++) {
+      const termCandidates = new Set();
+      for (const text of termTexts(queryTerms[i])) {
+        const textCandidates = await resolveText(text, searchFields);
+        if (textCandidates) textCandidates.forEach(docId => termCandidates.add(docId));
+      }
       
-      try {
-        const fallbackSnapshot = await collectionRef.limit(Math.min(limit * 3, 100)).get();
-        console.log(`Fallback scan found ${fallbackSnapshot.size} documents to check`);
-        
-        const fallbackResults = [];
-        let fallbackMatchCount = 0;
-        
-        fallbackSnapshot.forEach((doc) => {
-          if (fallbackMatchCount >= limit) return;
-          
-          const data = doc.data();
-          let isMatch = false;
-          
-          for (const field of searchFields) {
-            const fieldValue = getNestedFieldValue(data, field);
-            
-            if (fieldValue !== null && fieldValue !== undefined) {
-              const stringValue = String(fieldValue);
-              
-              if (fuzzyMatch(searchValue, stringValue, caseSensitive)) {
-                isMatch = true;
-                break;
-              }
-            }
-          }
-          
-          if (isMatch) {
-            let resultDoc = { id: doc.id };
-            
-            if (returnFields && returnFields.length > 0) {
-              for (const field of returnFields) {
-                const fieldValue = getNestedFieldValue(data, field);
-                setNestedFieldValue(resultDoc, field, fieldValue);
-              }
-            } else {
-              resultDoc = { id: doc.id, ...data };
-            }
-            
-            fallbackResults.push({
-              rawDoc: resultDoc,
-              originalData: data
-            });
-            fallbackMatchCount++;
-          }
-        });
-        
-        if (fallbackResults.length > 0) {
-          console.log(`✅ Fallback found ${fallbackResults.length} results`);
-          const fallbackTransformed = fallbackResults.map(item => transformFirestoreData(item.rawDoc));
-          return fallbackTransformed;
+      // Documents first seen now can match at most the remaining terms
+      const remainingTerms = queryTerms.length - i - 1;
+      const canAddDocuments = remainingTerms + 1 >= requiredMatches;
+      for (const docId of termCandidates) {
+        if (matchCounts.has(docId)) {
+          matchCounts.set(docId, matchCounts.get(docId) + 1);
+        } else if (canAddDocuments) {
+          matchCounts.set(docId, 1);
         }
-      } catch (fallbackError) {
-        console.error('Fallback search failed:', fallbackError);
+      }
+      
+      // Drop documents that can no longer reach the required number of terms
+      for (const [docId, count] of matchCounts) {
+        if (count + remainingTerms < requiredMatches) {
+          matchCounts.delete(docId);
+        }
+      }
+      
+      if (matchCounts.size === 0 && remainingTerms < requiredMatches) {
+        break;
       }
     }
     
-    // Log performance warning if search took too long
-    if (processingTime > 1000) {
-      console.warn(`⚠️  Slow search detected (${processingTime}ms). Consider creating indexes for better performance.`);
-      console.warn(`   Recommended: Create composite index on [${searchFields[0]}, ${sortBy || '__name__'}]`);
+    return new Set(matchCounts.keys());
+  };
+  
+  const resolveNode = async (node) => {
+    switch (node.type) {
+      case 'match':
+        return resolveMatch(node);
+      case 'term':
+      case 'phrase':
+        return resolveText(node.value, node.field ? [node.field] : config.searchableFields);
+      case 'and': {
+        // Children that cannot be resolved only narrow the result, so they are skipped
+        let candidates = null;
+        for (const child of node.children) {
+          const childCandidates = await resolveNode(child);
+          if (childCandidates === null) continue;
+          candidates = candidates === null ? childCandidates : intersect(candidates, childCandidates);
+          if (candidates.size === 0) break;
+        }
+        return candidates;
+      }
+      case 'or': {
+        const candidates = new Set();
+        for (const child of node.children) {
+          const childCandidates = await resolveNode(child);
+          if (childCandidates === null) return null;
+          childCandidates.forEach(docId => candidates.add(docId));
+        }
+        return candidates;
+      }
+      default:
+        return null;
     }
+  };
+  
+  const candidates = await resolveNode(searchQuery.tree);
+  if (candidates === null) {
+    return null;
+  }
+  
+  const avgFieldLengths = {};
+  for (const [field, totalLength] of Object.entries(fieldLengths)) {
+    avgFieldLengths[field] = docCount > 0 ? totalLength / docCount : 0;
+  }
+  
+  return {
+    docIds: [...candidates],
+    stats: { totalDocs: docCount, docFrequencies, avgFieldLengths },
+    termPostings,
+    docFieldLengths
+  };
+}
 
-    return transformedResults;
+/**
+ * Geo Search
+ * GeoPoint fields listed in GEO_FIELDS are stored as geohashes in the index entries.
+ * A search area is covered by at most four geohash cells, whose entries are read
+ * with prefix range queries; the exact distance or box check runs on every match.
+ */
 
-  } catch (error) {
-    throw new Error(`Failed to search collection: ${error.message}`);
+/**
+ * Read the coordinates of a GeoPoint (or a map with latitude and longitude)
+ */
+function getGeoPoint(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
   }
+  
+  const latitude = value.latitude !== undefined ? value.latitude : value._latitude;
+  const longitude = value.longitude !== undefined ? value.longitude : value._longitude;
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
 }
 
 /**
- * Transform Firestore data to clean JSON format
- * - Converts Firestore timestamps to UTC strings
- * - Converts Firestore references to document path strings
- * - Ensures all primitive values are strings, numbers, or booleans
- * - Keeps maps and arrays as-is
+ * Great-circle distance in meters between two points (haversine formula)
  */
-function transformFirestoreData(data) {
-  if (data === null || data === undefined) {
-    return data;
+function getGeoDistance(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const deltaLat = toRadians(to.latitude - from.latitude);
+  const deltaLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Check whether a point lies within the radius and bounding box of a geo search
+ * Without a radius or bounding box every document matches, with or without a point
+ */
+function geoPointMatches(point, geo) {
+  if (geo.radius === null && geo.bbox === null) {
+    return true;
+  }
+  if (!point) {
+    return false;
+  }
+  
+  if (geo.radius !== null && getGeoDistance(geo.near, point) > geo.radius) {
+    return false;
+  }
+  
+  if (geo.bbox !== null) {
+    const { minLat, minLng, maxLat, maxLng } = geo.bbox;
+    const withinLongitude = minLng <= maxLng ?
+      point.longitude >= minLng && point.longitude <= maxLng :
+      point.longitude >= minLng || point.longitude <= maxLng;
+    if (point.latitude < minLat || point.latitude > maxLat || !withinLongitude) {
+      return false;
+    }
   }
+  
+  return true;
+}
 
-  // Handle Firestore Timestamp
-  if (data && typeof data === 'object' && data._seconds !== undefined && data._nanoseconds !== undefined) {
-    const timestamp = new Date(data._seconds * 1000 + data._nanoseconds / 1000000);
-    return timestamp.toISOString();
+/**
+ * Encode a point as a geohash of the given number of characters
+ */
+function encodeGeohash({ latitude, longitude }, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let geohash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true;
+  
+  while (geohash.length < precision) {
+    // Bits alternate between longitude and latitude, starting with longitude
+    const [range, value] = evenBit ? [lngRange, longitude] : [latRange, latitude];
+    const mid = (range[0] + range[1]) / 2;
+    if (value >= mid) {
+      charIndex = charIndex * 2 + 1;
+      range[0] = mid;
+    } else {
+      charIndex = charIndex * 2;
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    
+    if (++bits === 5) {
+      geohash += GEOHASH_ALPHABET[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
   }
+  
+  return geohash;
+}
 
-  // Handle Firestore DocumentReference
-  if (data && typeof data === 'object' && data._path && data._path.segments) {
-    return data._path.segments.join('/');
+/**
+ * Bounding box that contains the search area (the circle around near, or bbox)
+ */
+function getGeoSearchArea(geo) {
+  if (geo.radius === null) {
+    return geo.bbox;
+  }
+  
+  const { latitude, longitude } = geo.near;
+  const latDelta = geo.radius / METERS_PER_DEGREE_LATITUDE;
+  const minLat = Math.max(-90, latitude - latDelta);
+  const maxLat = Math.min(90, latitude + latDelta);
+  const maxAbsLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  const lngDelta = maxAbsLat >= 90 ?
+    180 :
+    geo.radius / (METERS_PER_DEGREE_LATITUDE * Math.cos(maxAbsLat * Math.PI / 180));
+  
+  if (lngDelta >= 180) {
+    return { minLat, minLng: -180, maxLat, maxLng: 180 };
   }
+  
+  const wrapLongitude = lng => ((lng + 540) % 360) - 180;
+  return { minLat, minLng: wrapLongitude(longitude - lngDelta), maxLat, maxLng: wrapLongitude(longitude + lngDelta) };
+}
 
-  // Handle Arrays
-  if (Array.isArray(data)) {
-    return data.map(item => transformFirestoreData(item));
+/**
+ * Geohash prefixes whose cells cover a bounding box
+ * Uses the longest prefix whose cells are at least as large as the box, so the
+ * box spans at most two cells in each direction and its corners name them all
+ */
+function getGeohashPrefixes(area) {
+  const latSpan = area.maxLat - area.minLat;
+  const lngSpan = area.minLng <= area.maxLng ? area.maxLng - area.minLng : area.maxLng - area.minLng + 360;
+  
+  let precision = 0;
+  for (let length = 1; length <= GEOHASH_PRECISION; length++) {
+    const cellHeight = 180 / 2 ** Math.floor(length * 5 / 2);
+    const cellWidth = 360 / 2 ** Math.ceil(length * 5 / 2);
+    if (cellHeight < latSpan || cellWidth < lngSpan) break;
+    precision = length;
   }
+  
+  if (precision === 0) {
+    return [''];
+  }
+  
+  const corners = [
+    { latitude: area.minLat, longitude: area.minLng },
+    { latitude: area.minLat, longitude: area.maxLng },
+    { latitude: area.maxLat, longitude: area.minLng },
+    { latitude: area.maxLat, longitude: area.maxLng }
+  ];
+  return [...new Set(corners.map(corner => encodeGeohash(corner, precision)))];
+}
 
-  // Handle Objects (Maps)
-  if (data && typeof data === 'object') {
-    const transformed = {};
-    for (const [key, value] of Object.entries(data)) {
-      transformed[key] = transformFirestoreData(value);
+/**
+ * Find the documents whose geohash lies in the cells covering the search area
+ * Returns null when the index entries of the collection carry no geohashes for the field
+ */
+async function findGeoCandidates(collection, geo) {
+  const indexRef = db.collection(SEARCH_INDEX_COLLECTION).doc(collection);
+  const statsSnapshot = await indexRef.get();
+  const { geoFields = [] } = statsSnapshot.exists ? statsSnapshot.data() : {};
+  
+  if (!geoFields.includes(geo.field)) {
+    console.log(`Search index of ${collection} has no geohashes for "${geo.field}"`);
+    return null;
+  }
+  
+  const geohashPath = new FieldPath('geohashes', geo.field);
+  const prefixes = getGeohashPrefixes(getGeoSearchArea(geo));
+  const snapshots = await Promise.all(prefixes.map(prefix =>
+    indexRef.collection('documents')
+      .where(geohashPath, '>=', prefix)
+      .where(geohashPath, '<', prefix + '~')
+      .select()
+      .limit(SEARCH_INDEX_MAX_POSTINGS)
+      .get()
+  ));
+  
+  const candidates = new Set();
+  for (const snapshot of snapshots) {
+    if (snapshot.size >= SEARCH_INDEX_MAX_POSTINGS) {
+      console.warn(`⚠️  Geohash cell of "${geo.field}" reached ${SEARCH_INDEX_MAX_POSTINGS} documents, results may be incomplete`);
     }
-    return transformed;
+    snapshot.forEach(doc => candidates.add(doc.id));
   }
+  
+  console.log(`Geo index found ${candidates.size} documents in geohash cells [${prefixes.join(', ')}] of "${geo.field}"`);
+  return candidates;
+}
 
-  // Return primitive values as-is (strings, numbers, booleans)
-  return data;
+/**
+ * Keeps the inverted search index and the normalized shadow fields in sync with writes
+ * to searchable collections
+ */
+exports.updateSearchIndexOnWrite = onDocumentWritten({
+  document: '{collection}/{docId}',
+  region: config.location
+}, async (event) => {
+  const { collection, docId } = event.params;
+  
+  // Changing a custom stopword list re-indexes the existing documents
+  if (collection === STOPWORDS_COLLECTION && config.enableSearchIndex) {
+    stopwordsCache.clear();
+    const result = await startSearchIndexBackfill('stopwords');
+    console.log(`Stopwords of ${docId} changed, search index backfill:`, result);
+    return;
+  }
+  
+  if ((!config.enableSearchIndex && !config.enableShadowFields) || !isCollectionIndexable(collection)) {
+    return;
+  }
+  
+  try {
+    const before = event.data && event.data.before;
+    const after = event.data && event.data.after;
+    const previousData = before && before.exists ? before.data() : null;
+    const data = after && after.exists ? after.data() : null;
+    const eventTime = Date.parse(event.time) || Date.now();
+    
+    if (config.enableShadowFields && data) {
+      const shadowResult = await updateShadowFields(after.ref, data, after.updateTime);
+      console.log(`Shadow fields checked for ${collection}/${docId}`, shadowResult);
+    }
+    
+    // The write of the shadow fields themselves leaves the indexed fields unchanged
+    if (config.enableSearchIndex && !isShadowFieldsUpdate(previousData, data)) {
+      const result = await updateSearchIndex(collection, docId, data, eventTime);
+      console.log(`Search index ${data ? 'updated' : 'cleared'} for ${collection}/${docId}`, result);
+    }
+  } catch (error) {
+    console.error(`Search index update failed for ${collection}/${docId}:`, error);
+    throw error;
+  }
+});
+
+/**
+ * Search Index Backfill
+ * Pages through every searchable collection one task at a time (indexing documents and
+ * writing their shadow fields), checkpointing progress in _searchIndexState/backfill so
+ * a failed or retried task resumes where the previous one stopped.
+ */
+
+/**
+ * Get the task queue that runs the backfill pages
+ */
+function getBackfillQueue() {
+  return getFunctions().taskQueue(
+    `locations/${config.location}/functions/backfillSearchIndex`,
+    process.env.EXT_INSTANCE_ID
+  );
 }
 
 /**
- * Get nested field value using dot notation (e.g., "user.profile.name")
+ * Report the outcome of a lifecycle event in the Firebase console
  */
-function getNestedFieldValue(obj, fieldPath) {
-  return fieldPath.split('.').reduce((current, key) => {
-    return current && current[key] !== undefined ? current[key] : null;
-  }, obj);
+async function setLifecycleProcessingState(state, message) {
+  try {
+    await getExtensions().runtime().setProcessingState(state, message);
+  } catch (error) {
+    // Not running as an installed extension (e.g. emulator or tests)
+    console.log(`Could not set processing state ${state}: ${error.message}`);
+  }
 }
 
 /**
- * Set nested field value using dot notation
+ * Resolve the collections that the backfill has to index
+ * When no collections are configured, every top-level collection is indexed
  */
-function setNestedFieldValue(obj, fieldPath, value) {
-  const keys = fieldPath.split('.');
-  const lastKey = keys.pop();
-  
-  const target = keys.reduce((current, key) => {
-    if (!current[key]) current[key] = {};
-    return current[key];
-  }, obj);
+async function getBackfillCollections() {
+  if (config.searchableCollections.length > 0) {
+    return config.searchableCollections.filter(isCollectionIndexable);
+  }
   
-  target[lastKey] = value;
+  const collectionRefs = await db.listCollections();
+  return collectionRefs.map(ref => ref.id).filter(isCollectionIndexable);
 }
 
 /**
- * Get appropriate error code based on error type
+ * Start a new backfill run, superseding any run that is still in progress
  */
-function getErrorCode(error) {
-  if (error.message.includes('permission')) {
-    return 'PERMISSION_DENIED';
+async function startSearchIndexBackfill(trigger) {
+  if (!config.enableSearchIndex && !config.enableShadowFields) {
+    await setLifecycleProcessingState('PROCESSING_COMPLETE', 'Search index and shadow fields are disabled, no backfill needed.');
+    return { started: false, reason: 'disabled' };
   }
-  if (error.message.includes('not found') || error.message.includes('does not exist')) {
-    return 'NOT_FOUND';
+  
+  const collections = await getBackfillCollections();
+  if (collections.length === 0) {
+    await setLifecycleProcessingState('PROCESSING_COMPLETE', 'No collections to index.');
+    return { started: false, reason: 'no-collections' };
   }
-  if (error.message.includes('Invalid') || error.message.includes('validation')) {
-    return 'VALIDATION_ERROR';
+  
+  const runId = `${trigger}-${Date.now()}`;
+  await db.doc(BACKFILL_STATE_DOC).set({
+    runId,
+    trigger,
+    status: 'running',
+    collections,
+    collectionIndex: 0,
+    lastDocId: null,
+    processed: 0,
+    error: null,
+    startedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp()
+  });
+  
+  await getBackfillQueue().enqueue({ runId });
+  console.log(`Search index backfill ${runId} started for collections: ${collections.join(', ')}`);
+  
+  return { started: true, runId, collections };
+}
+
+/**
+ * Index the next page of documents (and update their shadow fields) for a backfill run and checkpoint the progress
+ */
+async function processBackfillPage(runId) {
+  const stateRef = db.doc(BACKFILL_STATE_DOC);
+  const stateSnapshot = await stateRef.get();
+  const state = stateSnapshot.exists ? stateSnapshot.data() : null;
+  
+  // A newer run (e.g. after another reconfiguration) takes over
+  if (!state || state.runId !== runId || state.status !== 'running') {
+    console.log(`Backfill ${runId} is no longer active, stopping`);
+    return { done: true, superseded: true };
   }
-  if (error.message.includes('quota') || error.message.includes('limit')) {
-    return 'QUOTA_EXCEEDED';
+  
+  const collection = state.collections[state.collectionIndex];
+  let query = db.collection(collection).orderBy('__name__').limit(BACKFILL_PAGE_SIZE);
+  if (state.lastDocId) {
+    query = query.startAfter(state.lastDocId);
   }
-  if (error.message.includes('rate limit') || error.message.includes('too many requests')) {
-    return 'RATE_LIMIT_EXCEEDED';
+  
+  const snapshot = await query.get();
+  for (const doc of snapshot.docs) {
+    // Use the document's own update time so newer trigger writes still win
+    const eventTime = doc.updateTime ? doc.updateTime.toMillis() : Date.now();
+    if (config.enableSearchIndex) {
+      await updateSearchIndex(collection, doc.id, doc.data(), eventTime);
+    }
+    if (config.enableShadowFields) {
+      await updateShadowFields(doc.ref, doc.data(), doc.updateTime);
+    }
   }
-  return 'INTERNAL_ERROR';
+  
+  const collectionDone = snapshot.size < BACKFILL_PAGE_SIZE;
+  const collectionIndex = collectionDone ? state.collectionIndex + 1 : state.collectionIndex;
+  const done = collectionIndex >= state.collections.length;
+  const processed = state.processed + snapshot.size;
+  
+  await stateRef.update({
+    collectionIndex,
+    lastDocId: collectionDone ? null : snapshot.docs[snapshot.size - 1].id,
+    processed,
+    status: done ? 'complete' : 'running',
+    updatedAt: FieldValue.serverTimestamp()
+  });
+  
+  console.log(`Backfill ${runId}: indexed ${snapshot.size} documents from ${collection} (${processed} total)`);
+  
+  return { done, processed, collections: state.collections };
 }
 
+/**
+ * Task queue function that indexes one page of existing documents per invocation
+ */
+exports.backfillSearchIndex = onTaskDispatched({
+  retryConfig: {
+    maxAttempts: BACKFILL_MAX_ATTEMPTS,
+    minBackoffSeconds: 10
+  },
+  rateLimits: {
+    maxConcurrentDispatches: 1
+  }
+}, async (req) => {
+  const { runId } = req.data || {};
+  
+  try {
+    const result = await processBackfillPage(runId);
+    
+    if (result.superseded) {
+      return;
+    }
+    
+    if (!result.done) {
+      await getBackfillQueue().enqueue({ runId });
+      return;
+    }
+    
+    await setLifecycleProcessingState(
+      'PROCESSING_COMPLETE',
+      `Search index ready: indexed ${result.processed} existing documents across ${result.collections.length} collection(s).`
+    );
+  } catch (error) {
+    console.error(`Search index backfill ${runId} failed:`, error);
+    
+    // Give up after the last retry, leaving the checkpoint in place for a manual restart
+    if ((req.retryCount || 0) >= BACKFILL_MAX_ATTEMPTS - 1) {
+      await db.doc(BACKFILL_STATE_DOC).set({
+        status: 'failed',
+        error: error.message,
+        updatedAt: FieldValue.serverTimestamp()
+      }, { merge: true });
+      await setLifecycleProcessingState('PROCESSING_FAILED', `Search index backfill failed: ${error.message}`);
+    }
+    
+    throw error;
+  }
+});
+
 /**
  * Lifecycle Event Handlers
  */
@@ -1129,7 +4916,13 @@ async function createSearchIndexes() {
     
     const searchableCollections = config.searchableCollections.length > 0 ? 
       config.searchableCollections : ['*']; // Default to all collections if none specified
-    const searchableFields = config.searchableFields;
+    // Case-insensitive range queries read the normalized shadow fields
+    const searchableFields = config.enableShadowFields ? [
+      ...config.searchableFields,
+      ...config.searchableFields
+        .filter(field => !hasFieldWildcard(field) && !field.includes('[]'))
+        .map(field => `${SHADOW_FIELDS_KEY}.${field}`)
+    ] : config.searchableFields;
     
     if (!searchableFields || searchableFields.length === 0) {
       console.log('No searchable fields configured, skipping index creation');
@@ -1166,7 +4959,7 @@ async function createSearchIndexes() {
     
     console.log('Firebase CLI commands to create indexes:');
     for (const collection of searchableCollections) {
-      if (collection !== '*') {
+      if (collection !== '*' && !collection.includes('/')) {
         for (const field of searchableFields) {
           console.log(`firebase firestore:indexes --collection=${collection} --field=${field}`);
         }
@@ -1204,14 +4997,19 @@ exports.onInstallHandler = onTaskDispatched({
     // Provide index creation guidance for optimal performance
     const indexResult = await createSearchIndexes();
     
+    // Index documents that already exist; completion is reported by the backfill task
+    const backfill = await startSearchIndexBackfill('install');
+    
     console.log('Extension installed successfully');
     return { 
       success: true, 
       message: 'Extension installed successfully with search optimization guidance',
-      indexGuidance: indexResult
+      indexGuidance: indexResult,
+      backfill
     };
   } catch (error) {
     console.error('Extension installation error:', error);
+    await setLifecycleProcessingState('PROCESSING_FAILED', `Installation failed: ${error.message}`);
     throw error;
   }
 });
@@ -1229,11 +5027,14 @@ exports.onUpdateHandler = onTaskDispatched({
   }
 }, async (req) => {
   try {
-    // Perform any update tasks here
-    // For example, migrate data, update indexes, etc.
+    // A new version may index documents differently (and older versions had no index),
+    // so rebuild the index entries; searches scan until the backfill completes
+    const backfill = await startSearchIndexBackfill('update');
     
-    return { success: true, message: 'Extension updated successfully' };
+    return { success: true, message: 'Extension updated successfully', backfill };
   } catch (error) {
+    console.error('Extension update error:', error);
+    await setLifecycleProcessingState('PROCESSING_FAILED', `Update failed: ${error.message}`);
     throw error;
   }
 });
@@ -1251,11 +5052,13 @@ exports.onConfigureHandler = onTaskDispatched({
   }
 }, async (req) => {
   try {
-    // Perform any configuration tasks here
-    // For example, validate new settings, update runtime configuration, etc.
+    // Searchable fields or collections may have changed, so rebuild the index entries
+    const backfill = await startSearchIndexBackfill('configure');
     
-    return { success: true, message: 'Extension configured successfully' };
+    return { success: true, message: 'Extension configured successfully', backfill };
   } catch (error) {
+    console.error('Extension configuration error:', error);
+    await setLifecycleProcessingState('PROCESSING_FAILED', `Configuration failed: ${error.message}`);
     throw error;
   }
 });
@@ -1267,11 +5070,22 @@ if (process.env.NODE_ENV === 'test' || process.env.NODE_ENV === 'development') {
     extractCollectionFromPath,
     validateApiVersion,
     validateCollectionAccess,
+    matchesCollectionPattern,
+    isCollectionGroupAllowed,
+    documentMatchesSearch,
+    parseFilterParameters,
+    parseFacetParameter,
     getClientIP,
     checkRateLimit,
     fuzzyMatch,
-    levenshteinDistance,
+    parseMatchParameters,
+    getReportedMatchMode,
+    damerauLevenshteinDistance,
+    approximateSubstringMatch,
     extractJwtToken,
-    validateJwtToken
+    validateJwtToken,
+    parseQueryString,
+    buildSearchQuery,
+    termMatchQuality
   };
 }
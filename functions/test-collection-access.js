@@ -0,0 +1,80 @@
+/**
+ * Tests for SEARCHABLE_COLLECTIONS access checks of subcollection paths and collection groups
+ * Run with: node test-collection-access.js
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-project';
+process.env.SEARCHABLE_COLLECTIONS = 'products,reviews,orders,users/{uid}/orders,shops/*/items,items,_group/tickets,tickets,users/{uid}/tickets';
+process.env.REQUIRE_JWT_AUTHENTICATION = 'true';
+
+const { isDeepStrictEqual } = require('util');
+const { matchesCollectionPattern, isCollectionGroupAllowed, validateCollectionAccess } = require('./index.js');
+
+/**
+ * Compare a result with the expected value and report the outcome
+ */
+function check(name, actual, expected) {
+  if (isDeepStrictEqual(actual, expected)) {
+    console.log(`✅ ${name}`);
+  } else {
+    console.log(`❌ ${name}`);
+    console.log('   Expected:', JSON.stringify(expected));
+    console.log('   Actual:  ', JSON.stringify(actual));
+    process.exitCode = 1;
+  }
+}
+
+function runPatternTests() {
+  console.log('Collection patterns\n');
+
+  check('plain collection name', matchesCollectionPattern('products', 'products'), true);
+  check('* matches any document ID', matchesCollectionPattern('shops/s1/items', 'shops/*/items'), true);
+  check('* does not match a collection ID', matchesCollectionPattern('shops/s1/offers', 'shops/*/items'), false);
+  check('{uid} matches the caller\'s uid', matchesCollectionPattern('users/u1/orders', 'users/{uid}/orders', 'u1'), true);
+  check('{uid} does not match other users', matchesCollectionPattern('users/u2/orders', 'users/{uid}/orders', 'u1'), false);
+  check('{uid} never matches without a caller', matchesCollectionPattern('users/u1/orders', 'users/{uid}/orders'), false);
+  check('paths of a different depth do not match', matchesCollectionPattern('orders', 'users/{uid}/orders', 'u1'), false);
+
+  console.log('');
+}
+
+async function runCollectionGroupTests() {
+  console.log('Collection groups\n');
+
+  check('a collection ID allows its group', isCollectionGroupAllowed('reviews'), true);
+  check('an ID ending a {uid} pattern does not allow its group', isCollectionGroupAllowed('orders'), false);
+  check('an ID ending a * pattern does not allow its group', isCollectionGroupAllowed('items'), false);
+  check('a _group entry allows the group', isCollectionGroupAllowed('tickets'), true);
+  check('unlisted IDs are not allowed', isCollectionGroupAllowed('payments'), false);
+
+  const denied = await validateCollectionAccess('orders', true, null);
+  check('group access to an ID restricted by a pattern is denied',
+    [denied.valid, denied.status, denied.code],
+    [false, 403, 'COLLECTION_ACCESS_DENIED']);
+
+  const internal = await validateCollectionAccess('_searchIndexState', false, null);
+  check('the extension\'s own collections are denied', [internal.valid, internal.code], [false, 'COLLECTION_ACCESS_DENIED']);
+
+  const internalGroup = await validateCollectionAccess('_searchIndex', true, null);
+  check('the extension\'s own collections are denied as groups', [internalGroup.valid, internalGroup.code], [false, 'COLLECTION_ACCESS_DENIED']);
+
+  const ownOrders = await validateCollectionAccess('users/u2/orders', false, { uid: 'u1' });
+  check('orders of another user are denied', [ownOrders.valid, ownOrders.status], [false, 403]);
+
+  console.log('');
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    runPatternTests();
+    await runCollectionGroupTests();
+    console.log(process.exitCode ? 'Collection access tests failed' : 'All collection access tests passed');
+  })();
+}
+
+module.exports = {
+  runPatternTests,
+  runCollectionGroupTests
+};
@@ -0,0 +1,106 @@
+/**
+ * Tests for the fields a request may filter and facet on, and the matched values reported in
+ * _matches: only fields that results return
+ * Run with: node test-field-access.js
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-project';
+process.env.SEARCHABLE_FIELDS = 'title,description,tags,items[].name';
+process.env.DEFAULT_RETURN_FIELDS = 'title,price,category,meta,attributes.*,items';
+
+const { isDeepStrictEqual } = require('util');
+const { buildSearchQuery, documentMatchesSearch, parseFilterParameters, parseFacetParameter } = require('./index.js');
+
+/**
+ * Compare a result with the expected value and report the outcome
+ */
+function check(name, actual, expected) {
+  if (isDeepStrictEqual(actual, expected)) {
+    console.log(`✅ ${name}`);
+  } else {
+    console.log(`❌ ${name}`);
+    console.log('   Expected:', JSON.stringify(expected));
+    console.log('   Actual:  ', JSON.stringify(actual));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run a parser and return the error message instead of throwing
+ */
+function parseError(parse) {
+  try {
+    parse();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function runFilterTests() {
+  console.log('Filter fields\n');
+
+  check('returned fields can be filtered',
+    parseFilterParameters({ filter: ['price:<:1500', 'meta.brand:==:Acme'] }).map(({ field }) => field),
+    ['price', 'meta.brand']);
+  check('hidden fields are rejected in GET filters',
+    parseError(() => parseFilterParameters({ filter: 'ssn:==:123-45-6789' })),
+    'Invalid filter field \'ssn\'. Filters can use the returned fields: title, price, category, meta, attributes.*, items');
+  check('hidden fields are rejected in POST filters',
+    parseError(() => parseFilterParameters({ filters: [{ field: 'passwordHash', op: '>=', value: 'a' }] })),
+    'Invalid filter field \'passwordHash\'. Filters can use the returned fields: title, price, category, meta, attributes.*, items');
+
+  console.log('');
+}
+
+function runFacetTests() {
+  console.log('Facet fields\n');
+
+  check('returned fields can be counted', parseFacetParameter('category,price'), ['category', 'price']);
+  check('fields below a returned map can be counted', parseFacetParameter('meta.brand'), ['meta.brand']);
+  check('fields matching a wildcard return field can be counted', parseFacetParameter(['attributes.color']), ['attributes.color']);
+  check('hidden fields are rejected',
+    parseError(() => parseFacetParameter('category,passwordHash')),
+    '\'passwordHash\' is not a returned field. Facets can use: title, price, category, meta, attributes.*, items');
+  check('searchable fields that are not returned are rejected',
+    parseError(() => parseFacetParameter('description')),
+    '\'description\' is not a returned field. Facets can use: title, price, category, meta, attributes.*, items');
+
+  console.log('');
+}
+
+function runMatchValueTests() {
+  console.log('Matched values\n');
+
+  const data = { title: 'Order', tags: ['secret-project', 'wireless'], items: [{ name: 'Blue cable' }] };
+  const findMatches = (searchValue) => {
+    const matches = [];
+    const searchQuery = buildSearchQuery(searchValue, { searchFields: ['title', 'tags', 'items[].name'] });
+    documentMatchesSearch('order1', data, ['title', 'tags', 'items[].name'], searchQuery, false, false, matches);
+    return matches;
+  };
+
+  check('returned array fields report the matched value',
+    findMatches('cable'),
+    [{ term: 'cable', field: 'items[].name', index: 0, value: 'Blue cable' }]);
+  check('hidden array fields report only the field and position',
+    findMatches('wireless'),
+    [{ term: 'wireless', field: 'tags', index: 1 }]);
+
+  console.log('');
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  runFilterTests();
+  runFacetTests();
+  runMatchValueTests();
+  console.log(process.exitCode ? 'Field access tests failed' : 'All field access tests passed');
+}
+
+module.exports = {
+  runFilterTests,
+  runFacetTests,
+  runMatchValueTests
+};
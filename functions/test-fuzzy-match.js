@@ -0,0 +1,137 @@
+/**
+ * Tests for typo-tolerant matching
+ * Checks approximateSubstringMatch against a brute-force search that compares every substring
+ * of the field with damerauLevenshteinDistance, and the fuzzyMatch cases built on top of it
+ * Run with: node test-fuzzy-match.js
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-project';
+
+const { damerauLevenshteinDistance, approximateSubstringMatch, fuzzyMatch } = require('./index.js');
+
+// Number of generated pattern and text pairs compared with the brute-force search
+const RANDOM_CASES = 20000;
+
+const FUZZY = { matchMode: 'fuzzy', fuzziness: 'auto', prefixLength: 0 };
+
+/**
+ * Report the outcome of a check
+ */
+function check(name, actual, expected) {
+  if (actual === expected) {
+    console.log(`✅ ${name}`);
+  } else {
+    console.log(`❌ ${name}: expected ${expected}, got ${actual}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Deterministic pseudo-random numbers, so every run checks the same cases
+ */
+function createRandom(seed) {
+  let state = seed;
+  return (max) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % max;
+  };
+}
+
+/**
+ * Reference implementation: the smallest distance between the pattern and any substring
+ * of the text (any prefix when anchored) is within maxEdits
+ */
+function bruteForceSubstringMatch(pattern, text, maxEdits, anchored = false) {
+  for (let start = 0; start <= (anchored ? 0 : text.length); start++) {
+    for (let end = start; end <= text.length; end++) {
+      if (damerauLevenshteinDistance(pattern, text.slice(start, end)) <= maxEdits) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function runDistanceTests() {
+  console.log('Damerau-Levenshtein distance\n');
+
+  check('identical strings', damerauLevenshteinDistance('laptop', 'laptop'), 0);
+  check('empty string', damerauLevenshteinDistance('', 'abc'), 3);
+  check('substitution', damerauLevenshteinDistance('laptop', 'laptap'), 1);
+  check('insertion and deletion', damerauLevenshteinDistance('kitten', 'sitting'), 3);
+  check('adjacent transposition counts as one edit', damerauLevenshteinDistance('teh', 'the'), 1);
+  check('a transposed pair is not edited again', damerauLevenshteinDistance('ca', 'abc'), 3);
+
+  console.log('');
+}
+
+function runSubstringMatchTests() {
+  console.log('Bounded approximate substring search\n');
+
+  check('exact occurrence', approximateSubstringMatch('laptop', 'gaming laptop pro', 0), true);
+  check('deleted character inside the field', approximateSubstringMatch('laptop', 'a laptp bag', 1), true);
+  check('inserted character inside the field', approximateSubstringMatch('laptop', 'a lapttop bag', 1), true);
+  check('transposed characters', approximateSubstringMatch('headphones', 'wireless haedphones', 1), true);
+  check('too many typos', approximateSubstringMatch('laptop', 'lapdog', 1), false);
+  check('anchored match at the start', approximateSubstringMatch('lap', 'lxp top', 1, true), true);
+  check('anchored match cannot start later', approximateSubstringMatch('top', 'laptop', 1, true), false);
+  check('pattern no longer than the budget always matches', approximateSubstringMatch('ab', 'xyz', 2), true);
+
+  const random = createRandom(1);
+  const randomString = (length, alphabet) =>
+    Array.from({ length }, () => alphabet[random(alphabet.length)]).join('');
+  let mismatches = 0;
+  let matches = 0;
+
+  for (let i = 0; i < RANDOM_CASES; i++) {
+    // Small alphabets produce many near matches
+    const alphabet = ['ab', 'abc', 'abcd'][random(3)];
+    const pattern = randomString(1 + random(7), alphabet);
+    const text = randomString(random(12), alphabet);
+    const maxEdits = random(4);
+    const anchored = random(2) === 1;
+
+    const expected = bruteForceSubstringMatch(pattern, text, maxEdits, anchored);
+    if (expected) matches++;
+    if (approximateSubstringMatch(pattern, text, maxEdits, anchored) !== expected) {
+      if (mismatches++ < 5) {
+        console.log(`   Mismatch: ${JSON.stringify({ pattern, text, maxEdits, anchored, expected })}`);
+      }
+    }
+  }
+  check(`agrees with the brute-force search on ${RANDOM_CASES} random cases (${matches} matches)`, mismatches, 0);
+
+  console.log('');
+}
+
+function runFuzzyMatchTests() {
+  console.log('Fuzzy matching\n');
+
+  check('case-insensitive typo', fuzzyMatch('wireles', 'Wireless Headphones', false, true, FUZZY), true);
+  check('case-sensitive search keeps case', fuzzyMatch('wireless', 'WIRELESS', true, false, FUZZY), false);
+  check('short terms are matched exactly', fuzzyMatch('cat', 'cut', false, true, FUZZY), false);
+  check('typos are not allowed when disabled', fuzzyMatch('laptp', 'laptop', false, false, FUZZY), false);
+  check('fuzziness 2 allows two typos', fuzzyMatch('keybaord', 'mechanical kyboard', false, true, { ...FUZZY, fuzziness: 2 }), true);
+  check('prefixLength keeps the leading characters exact',
+    fuzzyMatch('laptop', 'daptop', false, true, { ...FUZZY, prefixLength: 1 }), false);
+  check('prefixLength still allows typos after the prefix',
+    fuzzyMatch('laptop', 'lapt0p', false, true, { ...FUZZY, prefixLength: 2 }), true);
+
+  console.log('');
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  runDistanceTests();
+  runSubstringMatchTests();
+  runFuzzyMatchTests();
+  console.log(process.exitCode ? 'Fuzzy matching tests failed' : 'All fuzzy matching tests passed');
+}
+
+module.exports = {
+  bruteForceSubstringMatch,
+  runDistanceTests,
+  runSubstringMatchTests,
+  runFuzzyMatchTests
+};
@@ -0,0 +1,135 @@
+/**
+ * Tests for the v2 match modes: parsing matchMode, fuzziness and prefixLength,
+ * matching field values in each mode and rating matched tokens for ranking
+ * Run with: node test-match-modes.js
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-project';
+// The install defaults that apply when a request only sets fuzziness or prefixLength
+process.env.ENABLE_FUZZY_SEARCH = 'true';
+
+const { isDeepStrictEqual } = require('util');
+const { parseMatchParameters, getReportedMatchMode, fuzzyMatch, termMatchQuality } = require('./index.js');
+
+/**
+ * Compare a result with the expected value and report the outcome
+ */
+function check(name, actual, expected) {
+  if (isDeepStrictEqual(actual, expected)) {
+    console.log(`✅ ${name}`);
+  } else {
+    console.log(`❌ ${name}`);
+    console.log('   Expected:', JSON.stringify(expected));
+    console.log('   Actual:  ', JSON.stringify(actual));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Parse match parameters and return the error message instead of throwing
+ */
+function parseError(parameters) {
+  try {
+    parseMatchParameters(parameters);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const options = (matchMode, fuzziness = 0, prefixLength = 0) => ({ matchMode, fuzziness, prefixLength });
+
+function runParameterTests() {
+  console.log('Match parameter parsing\n');
+
+  check('no parameters keep the install defaults', parseMatchParameters({}), null);
+  check('empty values count as not set', parseMatchParameters({ matchMode: '', fuzziness: null }), null);
+  check('matchMode is case-insensitive', parseMatchParameters({ matchMode: ' Prefix ' }), options('prefix'));
+  check('fuzzy defaults to auto fuzziness', parseMatchParameters({ matchMode: 'fuzzy' }), options('fuzzy', 'auto'));
+  check('fuzziness and prefixLength are parsed',
+    parseMatchParameters({ matchMode: 'fuzzy', fuzziness: '2', prefixLength: '3' }),
+    options('fuzzy', 2, 3));
+  check('fuzzy with fuzziness 0 runs as contains', parseMatchParameters({ matchMode: 'fuzzy', fuzziness: '0' }), options('contains'));
+  check('fuzziness alone selects fuzzy', parseMatchParameters({ fuzziness: '1' }), options('fuzzy', 1));
+  check('fuzziness 0 alone selects contains', parseMatchParameters({ fuzziness: 0 }), options('contains'));
+  check('prefixLength alone keeps the default mode', parseMatchParameters({ prefixLength: 2 }), options('fuzzy', 'auto', 2));
+  check('phonetic accepts fuzziness', parseMatchParameters({ matchMode: 'phonetic', fuzziness: '1' }), options('phonetic', 1));
+
+  check('unknown matchMode is rejected',
+    parseError({ matchMode: 'regex' }),
+    'matchMode must be one of: exact, prefix, contains, fuzzy, wildcard, phonetic');
+  check('unknown fuzziness is rejected', parseError({ fuzziness: '3' }), 'fuzziness must be one of: 0, 1, 2, auto');
+  check('negative prefixLength is rejected', parseError({ prefixLength: '-1' }), 'prefixLength must be a non-negative integer');
+  check('fuzziness does not apply to exact matching',
+    parseError({ matchMode: 'exact', fuzziness: '1' }),
+    'fuzziness and prefixLength only apply to matchMode fuzzy and phonetic');
+  check('prefixLength does not apply to wildcard matching',
+    parseError({ matchMode: 'wildcard', prefixLength: '1' }),
+    'fuzziness and prefixLength only apply to matchMode fuzzy and phonetic');
+
+  check('scans report the mode as requested', getReportedMatchMode('contains', 'scan'), 'contains');
+  check('the index reports contains as prefix matching', getReportedMatchMode('contains', 'index'), 'prefix (index)');
+  check('the index reports fuzzy as prefix matching', getReportedMatchMode('fuzzy', 'index'), 'fuzzy prefix (index)');
+  check('the index runs exact as requested', getReportedMatchMode('exact', 'index'), 'exact');
+
+  console.log('');
+}
+
+function runFieldMatchTests() {
+  console.log('Field matching per mode\n');
+
+  const field = 'Wireless Headphones Pro';
+  const matches = (term, matchOptions) => fuzzyMatch(term, field, false, true, matchOptions);
+
+  check('exact matches whole words', matches('headphones', options('exact')), true);
+  check('exact does not match a word prefix', matches('head', options('exact')), false);
+  check('exact matches consecutive words', matches('wireless headphones', options('exact')), true);
+  check('prefix matches the start of a word', matches('head', options('prefix')), true);
+  check('prefix does not match inside a word', matches('phones', options('prefix')), false);
+  check('contains matches inside a word', matches('phones', options('contains')), true);
+  check('contains does not allow typos', matches('hedphones', options('contains')), false);
+  check('fuzzy allows typos', matches('hedphones', options('fuzzy', 'auto')), true);
+  check('wildcard * matches any characters', matches('head*s', options('wildcard')), true);
+  check('wildcard ? matches one character', matches('pr?', options('wildcard')), true);
+  check('wildcard patterns match whole words', matches('hea?', options('wildcard')), false);
+  check('wildcard ? does not match two characters', matches('p?', options('wildcard')), false);
+  check('wildcard runs of * match like one', matches('w**l*s', options('wildcard')), true);
+
+  const started = Date.now();
+  const manyWildcards = fuzzyMatch('************q', 'Internationalization of responsibilities', false, true, options('wildcard'));
+  check('wildcard patterns with many * finish quickly', [manyWildcards, Date.now() - started < 100], [false, true]);
+
+  console.log('');
+}
+
+function runMatchQualityTests() {
+  console.log('Match quality for ranking\n');
+
+  check('exact token weighs 1', termMatchQuality('laptop', 'laptop', options('fuzzy', 'auto')), 1);
+  check('prefix token weighs less', termMatchQuality('lap', 'laptop', options('prefix')), 0.8);
+  check('exact mode ignores prefixes', termMatchQuality('lap', 'laptop', options('exact')), 0);
+  check('prefix mode ignores substrings', termMatchQuality('top', 'laptop', options('prefix')), 0);
+  check('contains mode weighs substrings lowest', termMatchQuality('top', 'laptop', options('contains')), 0.4);
+  check('fuzzy token weighs less with more typos',
+    termMatchQuality('laptop', 'laptp', options('fuzzy', 'auto')) > termMatchQuality('laptop', 'lptp', options('fuzzy', 2)),
+    true);
+  check('contains mode does not match typos', termMatchQuality('laptop', 'laptp', options('contains')), 0);
+  check('wildcard token weighs 1', termMatchQuality('l*p', 'laptop', options('wildcard')), 1);
+
+  console.log('');
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  runParameterTests();
+  runFieldMatchTests();
+  runMatchQualityTests();
+  console.log(process.exitCode ? 'Match mode tests failed' : 'All match mode tests passed');
+}
+
+module.exports = {
+  runParameterTests,
+  runFieldMatchTests,
+  runMatchQualityTests
+};
@@ -0,0 +1,160 @@
+/**
+ * Tests for the q query string parser and the search query builder
+ * Run with: node test-query-parser.js
+ */
+
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-project';
+
+const { isDeepStrictEqual } = require('util');
+const { parseQueryString, buildSearchQuery } = require('./index.js');
+
+const SEARCH_FIELDS = ['title', 'description', 'tags'];
+
+/**
+ * Compare a result with the expected value and report the outcome
+ */
+function check(name, actual, expected) {
+  if (isDeepStrictEqual(actual, expected)) {
+    console.log(`✅ ${name}`);
+  } else {
+    console.log(`❌ ${name}`);
+    console.log('   Expected:', JSON.stringify(expected));
+    console.log('   Actual:  ', JSON.stringify(actual));
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Parse a query string and return the error message instead of throwing
+ */
+function parseError(queryString) {
+  try {
+    parseQueryString(queryString, SEARCH_FIELDS);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const term = (value, field = null) => ({ type: 'term', value, field });
+
+function runParserTests() {
+  console.log('Query string parser\n');
+
+  check('single term', parseQueryString('laptop', SEARCH_FIELDS), term('laptop'));
+
+  check('adjacent terms are combined with AND',
+    parseQueryString('gaming laptop', SEARCH_FIELDS),
+    { type: 'and', children: [term('gaming'), term('laptop')] });
+
+  check('AND binds tighter than OR',
+    parseQueryString('a b OR c', SEARCH_FIELDS),
+    { type: 'or', children: [{ type: 'and', children: [term('a'), term('b')] }, term('c')] });
+
+  check('explicit AND and || keywords',
+    parseQueryString('a AND b || c', SEARCH_FIELDS),
+    { type: 'or', children: [{ type: 'and', children: [term('a'), term('b')] }, term('c')] });
+
+  check('parentheses group clauses',
+    parseQueryString('(a OR b) c', SEARCH_FIELDS),
+    { type: 'and', children: [{ type: 'or', children: [term('a'), term('b')] }, term('c')] });
+
+  check('quoted phrase',
+    parseQueryString('"gaming laptop"', SEARCH_FIELDS),
+    { type: 'phrase', value: 'gaming laptop', field: null });
+
+  check('minus and NOT exclude a clause',
+    parseQueryString('laptop -refurbished NOT used', SEARCH_FIELDS),
+    { type: 'and', children: [term('laptop'), { type: 'not', child: term('refurbished') }, { type: 'not', child: term('used') }] });
+
+  check('a minus inside a word is kept',
+    parseQueryString('wi-fi', SEARCH_FIELDS),
+    term('wi-fi'));
+
+  check('field scope applies to a term',
+    parseQueryString('title:laptop', SEARCH_FIELDS),
+    term('laptop', 'title'));
+
+  check('field scope applies to a group',
+    parseQueryString('title:(gaming OR "office laptop")', SEARCH_FIELDS),
+    { type: 'or', children: [term('gaming', 'title'), { type: 'phrase', value: 'office laptop', field: 'title' }] });
+
+  check('exclusion of a scoped clause',
+    parseQueryString('laptop -tags:refurbished', SEARCH_FIELDS),
+    { type: 'and', children: [term('laptop'), { type: 'not', child: term('refurbished', 'tags') }] });
+
+  check('empty query string is rejected', parseError('   '), 'Query string is empty');
+  check('unterminated phrase is rejected', parseError('"gaming laptop'), 'Unterminated phrase, missing closing quote');
+  check('empty phrase is rejected', parseError('laptop ""'), 'Phrases cannot be empty');
+  check('missing closing parenthesis is rejected', parseError('(a OR b'), 'Missing closing parenthesis');
+  check('unmatched closing parenthesis is rejected', parseError('a)'), 'Unexpected \')\'');
+  check('dangling OR is rejected', parseError('a OR'), 'Unexpected end of query string');
+  check('unknown field is rejected',
+    parseError('price:10'),
+    'Field \'price\' is not a searchable field. Searchable fields: title, description, tags');
+  check('nested field scopes are rejected',
+    parseError('title:(tags:a)'),
+    'Field scope \'tags:\' cannot be nested inside \'title:\'');
+
+  console.log('');
+}
+
+function runQueryBuilderTests() {
+  console.log('Search query builder\n');
+
+  const andQuery = buildSearchQuery('wireless  headphones wireless', { searchFields: SEARCH_FIELDS });
+  check('searchValue terms are split and deduplicated', andQuery.terms, ['wireless', 'headphones']);
+  check('operator defaults to and, requiring every term', [andQuery.operator, andQuery.requiredMatches], ['and', 2]);
+  check('searchValue becomes a match node',
+    andQuery.tree,
+    { type: 'match', terms: ['wireless', 'headphones'], requiredMatches: 2, synonyms: {} });
+
+  const orQuery = (minimumShouldMatch) =>
+    buildSearchQuery('a b c d', { operator: 'OR', minimumShouldMatch, searchFields: SEARCH_FIELDS }).requiredMatches;
+  check('operator or requires one term by default', orQuery(undefined), 1);
+  check('minimumShouldMatch count', orQuery('3'), 3);
+  check('minimumShouldMatch all but one', orQuery('-1'), 3);
+  check('minimumShouldMatch percentage', orQuery('75%'), 3);
+  check('minimumShouldMatch negative percentage', orQuery('-25%'), 3);
+  check('minimumShouldMatch is capped at the number of terms', orQuery('10'), 4);
+
+  const stopwords = new Set(['the', 'for']);
+  const stopwordQuery = buildSearchQuery('the best laptop for gaming', { searchFields: SEARCH_FIELDS, stopwords });
+  check('stopwords are dropped from the terms', stopwordQuery.terms, ['best', 'laptop', 'gaming']);
+  check('dropped stopwords are reported', stopwordQuery.ignoredTerms, ['the', 'for']);
+  check('a query of only stopwords is searched as written',
+    buildSearchQuery('the', { searchFields: SEARCH_FIELDS, stopwords }).terms,
+    ['the']);
+
+  check('values without letters or numbers are matched as a whole',
+    buildSearchQuery('#', { searchFields: SEARCH_FIELDS }).terms,
+    ['#']);
+
+  const synonyms = new Map([['tv', ['television']]]);
+  const synonymQuery = buildSearchQuery('tv stand', { searchFields: SEARCH_FIELDS, synonyms });
+  check('terms are expanded with their synonyms', synonymQuery.synonyms, { tv: ['television'] });
+
+  const parsedQuery = buildSearchQuery(null, { queryString: '"gaming laptop" OR tablet -refurbished', searchFields: SEARCH_FIELDS });
+  check('q collects the positive terms and phrases', parsedQuery.terms, ['gaming laptop', 'tablet']);
+  check('q has no operator', [parsedQuery.operator, parsedQuery.requiredMatches], [null, null]);
+
+  const synonymTree = buildSearchQuery(null, { queryString: 'tv', searchFields: SEARCH_FIELDS, synonyms }).tree;
+  check('q terms with synonyms become an or of the alternatives',
+    synonymTree,
+    { type: 'or', children: [term('tv'), term('television')] });
+
+  console.log('');
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+  runParserTests();
+  runQueryBuilderTests();
+  console.log(process.exitCode ? 'Query parser tests failed' : 'All query parser tests passed');
+}
+
+module.exports = {
+  runParserTests,
+  runQueryBuilderTests
+};